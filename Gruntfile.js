@@ -8,7 +8,7 @@ module.exports = function(grunt) {
         separator: ';'
       },
       dist: {
-        src: ['src/Isometric.js', 'src/**/*.js'],
+        src: ['src/Isometric.js', 'src/IsoObject.js', 'src/IsoGroup.js', 'src/**/*.js'],
         dest: 'dist/<%= pkg.name %>.js'
       }
     },
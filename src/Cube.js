@@ -631,3 +631,83 @@ Phaser.Plugin.Isometric.Cube.intersects = function (a, b) {
     }
     return !(a.frontX < b.x || a.frontY < b.y || a.x > b.frontX || a.y > b.frontY || a.z > b.top || a.top < b.z);
 };
+
+/**
+ * Determines where a ray first enters the Cube, using the slab method. Works with a Cube or any object with x, y, z, frontX, frontY and top values, such as a Body.
+ * @method Phaser.Plugin.Isometric.Cube.intersectsRay
+ * @param {Phaser.Plugin.Isometric.Cube} a - The Cube object.
+ * @param {Phaser.Plugin.Isometric.Point3} origin - The point the ray starts from.
+ * @param {Phaser.Plugin.Isometric.Point3} direction - The direction of the ray.
+ * @param {Phaser.Plugin.Isometric.Point3} [output] - Optional Point3 object. If given and the ray hits the Cube, the point where it enters the Cube will be set into the object.
+ * @return {number} The distance along the ray (in multiples of the direction) at which it enters the Cube, or -1 if it misses.
+ */
+Phaser.Plugin.Isometric.Cube.intersectsRay = function (a, origin, direction, output) {
+    var min = [a.x, a.y, a.z];
+    var max = [a.frontX, a.frontY, a.top];
+    var o = [origin.x, origin.y, origin.z];
+    var d = [direction.x, direction.y, direction.z];
+    var near = 0;
+    var far = Infinity;
+    var t1, t2;
+
+    for (var i = 0; i < 3; i++) {
+        if (d[i] === 0) {
+            //  The ray is parallel to this slab, so it must start within it
+            if (o[i] < min[i] || o[i] > max[i]) {
+                return -1;
+            }
+        }
+        else {
+            t1 = (min[i] - o[i]) / d[i];
+            t2 = (max[i] - o[i]) / d[i];
+
+            near = Math.max(near, Math.min(t1, t2));
+            far = Math.min(far, Math.max(t1, t2));
+
+            if (near > far) {
+                return -1;
+            }
+        }
+    }
+
+    if (output) {
+        output.setTo(o[0] + d[0] * near, o[1] + d[1] * near, o[2] + d[2] * near);
+    }
+
+    return near;
+};
+
+/**
+ * Determines which face of the Cube a point on (or near) its surface lies on. Works with a Cube or any object with x, y, z, frontX, frontY and top values, such as a Body.
+ * @method Phaser.Plugin.Isometric.Cube.getFace
+ * @param {Phaser.Plugin.Isometric.Cube} a - The Cube object.
+ * @param {Phaser.Plugin.Isometric.Point3} point3 - The point to test.
+ * @return {number} The face nearest to the point; one of Phaser.Plugin.Isometric.UP, DOWN, FORWARDX, BACKWARDX, FORWARDY or BACKWARDY.
+ */
+Phaser.Plugin.Isometric.Cube.getFace = function (a, point3) {
+    var distances = [
+        Math.abs(point3.z - a.top),
+        Math.abs(point3.z - a.z),
+        Math.abs(point3.x - a.frontX),
+        Math.abs(point3.y - a.frontY),
+        Math.abs(point3.x - a.x),
+        Math.abs(point3.y - a.y)
+    ];
+    var faces = [
+        Phaser.Plugin.Isometric.UP,
+        Phaser.Plugin.Isometric.DOWN,
+        Phaser.Plugin.Isometric.FORWARDX,
+        Phaser.Plugin.Isometric.FORWARDY,
+        Phaser.Plugin.Isometric.BACKWARDX,
+        Phaser.Plugin.Isometric.BACKWARDY
+    ];
+    var nearest = 0;
+
+    for (var i = 1; i < 6; i++) {
+        if (distances[i] < distances[nearest]) {
+            nearest = i;
+        }
+    }
+
+    return faces[nearest];
+};
@@ -0,0 +1,513 @@
+/**
+ * @class Phaser.Plugin.Isometric.IncrementalSorter
+ *
+ * @classdesc
+ * Creates a new IncrementalSorter object, which performs the same volume-based topological sort as Projector#topologicalSort but caches which IsoSprites are behind which
+ * between calls. Only the IsoSprites flagged as having moved or changed since the last sort have their sort bounds read and are re-evaluated against the others,
+ * and an Octree is used to limit the IsoSprites they are compared against, so scenes made up of many static IsoSprites and a few moving ones sort far faster. The resulting order is identical to Projector#topologicalSort.
+ *
+ * Each IsoSprite should only be sorted by one IncrementalSorter.
+ *
+ * @constructor
+ * @param {Phaser.Plugin.Isometric.Projector} projector - The Projector whose orientation is used when sorting.
+ * @param {number} [padding] - The amount of extra tolerance in the depth sorting. Defaults to 1.5. See Projector#topologicalSort.
+ */
+Phaser.Plugin.Isometric.IncrementalSorter = function (projector, padding) {
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Projector} projector - The Projector whose orientation is used when sorting.
+     */
+    this.projector = projector;
+
+    /**
+     * @property {number} padding - The amount of extra tolerance in the depth sorting. Changing it causes every IsoSprite to be re-evaluated on the next sort.
+     * @default
+     */
+    this.padding = (typeof padding === 'undefined') ? 1.5 : padding;
+
+    /**
+     * @property {number} evaluated - The number of IsoSprites that were re-evaluated during the last sort.
+     * @readonly
+     */
+    this.evaluated = 0;
+
+    /**
+     * @property {array} _nodes - The cached sort nodes, one for each IsoSprite being sorted.
+     * @private
+     */
+    this._nodes = [];
+
+    /**
+     * @property {array} _dirty - The sort nodes which changed during the current sort.
+     * @private
+     */
+    this._dirty = [];
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Octree} _octree - The Octree holding the sort nodes, used to find candidate pairs.
+     * @private
+     */
+    this._octree = null;
+
+    /**
+     * @property {array} _candidates - Internal cache var.
+     * @private
+     */
+    this._candidates = [];
+
+    /**
+     * @property {array} _bounds - Internal cache var.
+     * @private
+     */
+    this._bounds = [];
+
+    /**
+     * @property {object} _range - Internal cache var.
+     * @private
+     */
+    this._range = { x: 0, y: 0, z: 0, frontX: 0, frontY: 0, top: 0 };
+
+    /**
+     * @property {number} _padding - The padding the cached nodes were evaluated with.
+     * @private
+     */
+    this._padding = this.padding;
+
+    /**
+     * @property {number} _frame - A counter incremented on each sort, used to stamp the sort nodes.
+     * @private
+     */
+    this._frame = 0;
+
+    /**
+     * @property {number} _sortDepth - The depth to give the next sort node visited.
+     * @private
+     */
+    this._sortDepth = 0;
+
+    /**
+     * @property {string} _prop - The property the depth information is stored on during the current sort.
+     * @private
+     */
+    this._prop = 'isoDepth';
+
+    /**
+     * @property {array} _stack - The sort nodes currently being visited, used to detect cycles.
+     * @private
+     */
+    this._stack = [];
+
+    /**
+     * @property {array} _cycles - The cycles found during the current sort.
+     * @private
+     */
+    this._cycles = [];
+
+    /**
+     * @property {array} _layers - The layers found during the current sort.
+     * @private
+     */
+    this._layers = [];
+
+};
+
+Phaser.Plugin.Isometric.IncrementalSorter.prototype = {
+
+    /**
+     * Sort all IsoSprites in the passed group or array. If a group is passed, <code>Phaser.Group#sort</code> is automatically called on the specified property.
+     *
+     * @method Phaser.Plugin.Isometric.IncrementalSorter#sort
+     * @param {Phaser.Group|array} group - A group or array of IsoSprites to sort.
+     * @param {string} [prop] - The property to store the depth information on. If not specified, it will default to 'isoDepth'.
+     */
+    sort: function (group, prop) {
+        var children, isGroup;
+
+        if (group instanceof Phaser.Group) {
+            children = group.children;
+            isGroup = true;
+        }
+        else if (group.length) {
+            children = group;
+        }
+        else {
+            return;
+        }
+
+        this._prop = prop || 'isoDepth';
+
+        if (this.padding !== this._padding) {
+            this.reset();
+            this._padding = this.padding;
+        }
+
+        this._frame++;
+        this._update(children);
+
+        var i, len = children.length;
+
+        this._sortDepth = 0;
+        this._stack.length = 0;
+        this._cycles = [];
+
+        var j, layers = this.projector.getSortLayers(children, this._layers);
+
+        for (j = 0; j < layers.length; j++) {
+            for (i = 0; i < len; i++) {
+                if (children[i]._isoSortNode.layer === layers[j]) {
+                    this._visit(children[i]._isoSortNode);
+                }
+            }
+        }
+
+        if (isGroup) {
+            group.sort(this._prop);
+        }
+
+        this.projector.reportCycles(this._cycles, group);
+    },
+
+    /**
+     * Throw away everything cached, so that every IsoSprite is re-evaluated on the next sort.
+     *
+     * @method Phaser.Plugin.Isometric.IncrementalSorter#reset
+     */
+    reset: function () {
+        var node;
+
+        for (var i = 0; i < this._nodes.length; i++) {
+            node = this._nodes[i];
+
+            if (node.sprite._isoSortNode === node) {
+                node.sprite._isoSortNode = null;
+            }
+        }
+
+        this._nodes.length = 0;
+        this._octree = null;
+    },
+
+    /**
+     * Bring the cached nodes up to date with the children being sorted; adding and removing nodes as IsoSprites come and go, and re-evaluating any which have changed.
+     *
+     * @method Phaser.Plugin.Isometric.IncrementalSorter#_update
+     * @param {array} children - The IsoSprites being sorted.
+     * @private
+     */
+    _update: function (children) {
+        var i, node, sprite, len = children.length;
+        var dirty = this._dirty;
+        var bounds = this._bounds;
+        var nodes = this._nodes;
+
+        dirty.length = 0;
+
+        for (i = 0; i < len; i++) {
+            sprite = children[i];
+            node = sprite._isoSortNode;
+
+            if (!node || node.sorter !== this) {
+                node = sprite._isoSortNode = this._createNode(sprite);
+                nodes.push(node);
+            }
+
+            node.index = i;
+            node.seen = this._frame;
+
+            //  Only IsoSprites flagged as having changed since the last sort are looked at
+            if (node.version === 0 || sprite.isoLayer !== node.layer || sprite._isoRevision !== node.revision) {
+                node.layer = sprite.isoLayer;
+                node.revision = sprite._isoRevision;
+                this._move(node, this.projector.getSortBounds(sprite, bounds, 0));
+                dirty.push(node);
+            }
+        }
+
+        //  Drop the nodes of any IsoSprites no longer being sorted; their versions are bumped so anything referring to them is ignored from now on
+        var w = 0;
+
+        for (i = 0; i < nodes.length; i++) {
+            node = nodes[i];
+
+            if (node.seen === this._frame) {
+                nodes[w++] = node;
+            }
+            else {
+                node.version++;
+
+                if (node.inOctree) {
+                    this._octree.remove(node);
+                }
+
+                if (node.sprite._isoSortNode === node) {
+                    node.sprite._isoSortNode = null;
+                }
+            }
+        }
+
+        nodes.length = w;
+
+        if (!this._octree && nodes.length > 0) {
+            this._createOctree();
+        }
+
+        for (i = 0; i < dirty.length; i++) {
+            this._evaluate(dirty[i]);
+        }
+
+        this.evaluated = dirty.length;
+    },
+
+    /**
+     * Create a new sort node for an IsoSprite.
+     *
+     * @method Phaser.Plugin.Isometric.IncrementalSorter#_createNode
+     * @param {Phaser.Plugin.Isometric.IsoSprite} sprite - The IsoSprite to create the node for.
+     * @return {object} The new sort node.
+     * @private
+     */
+    _createNode: function (sprite) {
+        return {
+            sorter: this,
+            sprite: sprite,
+            bounds: [0, 0, 0, 0, 0, 0],
+            layer: 0,
+            revision: 0,
+            version: 0,
+            index: 0,
+            seen: 0,
+            visited: 0,
+            finished: 0,
+            dirty: 0,
+            inOctree: false,
+            behind: [],
+            behindVersions: [],
+            x: 0,
+            y: 0,
+            z: 0,
+            frontX: 0,
+            frontY: 0,
+            top: 0
+        };
+    },
+
+    /**
+     * Update a node with new bounds, invalidating anything that refers to it and moving it within the Octree.
+     *
+     * @method Phaser.Plugin.Isometric.IncrementalSorter#_move
+     * @param {object} node - The sort node to update.
+     * @param {array} bounds - The new bounds of the node.
+     * @private
+     */
+    _move: function (node, bounds) {
+        if (node.inOctree) {
+            this._octree.remove(node);
+        }
+
+        for (var i = 0; i < 6; i++) {
+            node.bounds[i] = bounds[i];
+        }
+
+        //  The box stored in the Octree must hold both the position and the front, which aren't guaranteed to be in order
+        node.x = Math.min(bounds[0], bounds[3]);
+        node.y = Math.min(bounds[1], bounds[4]);
+        node.z = Math.min(bounds[2], bounds[5]);
+        node.frontX = Math.max(bounds[0], bounds[3]);
+        node.frontY = Math.max(bounds[1], bounds[4]);
+        node.top = Math.max(bounds[2], bounds[5]);
+
+        node.version++;
+        node.dirty = this._frame;
+
+        if (this._octree) {
+            this._octree.insert(node);
+            node.inOctree = true;
+        }
+    },
+
+    /**
+     * Create the Octree, sized to fit every node currently being sorted. The Octree is made cubic, so that scenes which are much wider than they are tall
+     * (such as a floor of tiles) can still be subdivided without every node straddling the middle of the z axis.
+     *
+     * @method Phaser.Plugin.Isometric.IncrementalSorter#_createOctree
+     * @private
+     */
+    _createOctree: function () {
+        var i, node, nodes = this._nodes;
+        var minX = Infinity, minY = Infinity, minZ = Infinity;
+        var maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+
+        for (i = 0; i < nodes.length; i++) {
+            node = nodes[i];
+            minX = Math.min(minX, node.x);
+            minY = Math.min(minY, node.y);
+            minZ = Math.min(minZ, node.z);
+            maxX = Math.max(maxX, node.frontX);
+            maxY = Math.max(maxY, node.frontY);
+            maxZ = Math.max(maxZ, node.top);
+        }
+
+        var size = Math.max(maxX - minX, maxY - minY, maxZ - minZ) + 2;
+
+        this._octree = new Phaser.Plugin.Isometric.Octree(minX - 1, minY - 1, minZ - 1, size, size, size);
+
+        for (i = 0; i < nodes.length; i++) {
+            this._octree.insert(nodes[i]);
+            nodes[i].inOctree = true;
+        }
+    },
+
+    /**
+     * Work out which nodes a changed node is behind and which are behind it.
+     *
+     * @method Phaser.Plugin.Isometric.IncrementalSorter#_evaluate
+     * @param {object} node - The changed sort node.
+     * @private
+     */
+    _evaluate: function (node) {
+        var i, other, b, ob;
+        var padding = this._padding;
+        var slack = Math.abs(padding + padding);
+        var range = this._range;
+        var candidates = this._candidates;
+
+        b = node.bounds;
+
+        //  Rebuild the list of nodes behind this one from scratch. The ranges queried are a little larger than needed, so rounding can never exclude a node
+        //  which passes the exact test below
+        node.behind.length = 0;
+        node.behindVersions.length = 0;
+
+        range.x = range.y = range.z = -Infinity;
+        range.frontX = b[3] + slack;
+        range.frontY = b[4] + slack;
+        range.top = b[5] + slack;
+
+        candidates.length = 0;
+        this._octree.query(range, candidates);
+
+        for (i = 0; i < candidates.length; i++) {
+            other = candidates[i];
+            ob = other.bounds;
+
+            if (other !== node && other.layer === node.layer && ob[0] + padding < b[3] - padding && ob[1] + padding < b[4] - padding && ob[2] + padding < b[5] - padding) {
+                node.behind.push(other);
+                node.behindVersions.push(other.version);
+            }
+        }
+
+        //  Add this node to the lists of the unchanged nodes in front of it; any changed ones rebuild their own lists
+        range.x = b[0] - slack;
+        range.y = b[1] - slack;
+        range.z = b[2] - slack;
+        range.frontX = range.frontY = range.top = Infinity;
+
+        candidates.length = 0;
+        this._octree.query(range, candidates);
+
+        for (i = 0; i < candidates.length; i++) {
+            other = candidates[i];
+            ob = other.bounds;
+
+            if (other !== node && other.layer === node.layer && other.dirty !== this._frame && b[0] + padding < ob[3] - padding && b[1] + padding < ob[4] - padding && b[2] + padding < ob[5] - padding) {
+                other.behind.push(node);
+                other.behindVersions.push(node.version);
+            }
+        }
+
+        candidates.length = 0;
+    },
+
+    /**
+     * Visit a node depth first, giving it a depth once everything behind it has been given one. Nodes behind it are visited in the order they appear in the
+     * children being sorted, so the result matches Projector#topologicalSort exactly. References to nodes which have since changed are removed along the way,
+     * and any node found behind which is still being visited means a cycle.
+     *
+     * @method Phaser.Plugin.Isometric.IncrementalSorter#_visit
+     * @param {object} node - The sort node to visit.
+     * @private
+     */
+    _visit: function (node) {
+        if (node.visited === this._frame) {
+            return;
+        }
+
+        node.visited = this._frame;
+        this._stack.push(node);
+
+        var i, other, pending = null, w = 0;
+        var behind = node.behind;
+        var versions = node.behindVersions;
+
+        for (i = 0; i < behind.length; i++) {
+            other = behind[i];
+
+            if (other.version !== versions[i] || other.seen !== this._frame) {
+                continue;
+            }
+
+            behind[w] = other;
+            versions[w] = versions[i];
+            w++;
+
+            if (other.visited !== this._frame) {
+                if (pending === null) {
+                    pending = [];
+                }
+
+                pending.push(other);
+            }
+            else if (other.finished !== this._frame) {
+                this._addCycle(other);
+            }
+        }
+
+        behind.length = w;
+        versions.length = w;
+
+        if (pending !== null) {
+            pending.sort(this._compareIndex);
+
+            for (i = 0; i < pending.length; i++) {
+                this._visit(pending[i]);
+            }
+        }
+
+        this._stack.pop();
+        node.finished = this._frame;
+        node.sprite[this._prop] = this._sortDepth++;
+    },
+
+    /**
+     * Record a cycle, made up of every node visited since the given one that is still being visited.
+     *
+     * @method Phaser.Plugin.Isometric.IncrementalSorter#_addCycle
+     * @param {object} node - The sort node the cycle starts from.
+     * @private
+     */
+    _addCycle: function (node) {
+        var cycle = [];
+
+        for (var i = this._stack.indexOf(node); i < this._stack.length; i++) {
+            cycle.push(this._stack[i].sprite);
+        }
+
+        this._cycles.push(cycle);
+    },
+
+    /**
+     * Compare two nodes by their position in the children being sorted.
+     *
+     * @method Phaser.Plugin.Isometric.IncrementalSorter#_compareIndex
+     * @param {object} a - The first sort node.
+     * @param {object} b - The second sort node.
+     * @return {number} The sort order.
+     * @private
+     */
+    _compareIndex: function (a, b) {
+        return a.index - b.index;
+    }
+
+};
+
+Phaser.Plugin.Isometric.IncrementalSorter.prototype.constructor = Phaser.Plugin.Isometric.IncrementalSorter;
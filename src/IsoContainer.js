@@ -0,0 +1,326 @@
+/**
+* @class Phaser.Plugin.Isometric.IsoContainer
+*
+* @classdesc
+* Create a new `IsoContainer` object. IsoContainers are IsoGroups with an axonometric position of their own, which the isoX, isoY and isoZ of their children are
+* relative to, so that moving the container moves everything in it through 3D space. Useful for vehicles, buildings made of several parts and characters carrying items.
+*
+* By default an IsoContainer is sorted as one unit by the group it is in, using bounds which enclose all of its children, and sorts its own children within itself.
+* If IsoContainer#flatten is set its children are instead moved into the group the container is in and sorted along with everything else there, while staying
+* positioned relative to the container.
+*
+* Physics bodies are not supported on the children of an IsoContainer.
+*
+* @constructor
+* @extends Phaser.Plugin.Isometric.IsoGroup
+* @param {Phaser.Game} game - A reference to the currently running game.
+* @param {number} x - The x coordinate (in 3D space) to position the IsoContainer at.
+* @param {number} y - The y coordinate (in 3D space) to position the IsoContainer at.
+* @param {number} z - The z coordinate (in 3D space) to position the IsoContainer at.
+* @param {DisplayObject|null} [parent=(game world)] - The parent Group (or other DisplayObject) that this container will be added to. If undefined/unspecified the container will be added to the Game World; if null it will not be added to any parent.
+* @param {string} [name='group'] - A name for this container. Not used internally but useful for debugging.
+*/
+Phaser.Plugin.Isometric.IsoContainer = function (game, x, y, z, parent, name) {
+
+    /**
+     * @property {array} isoChildren - The objects positioned relative to this IsoContainer. Unless the container is flattened these are the same as its children.
+     * @readonly
+     */
+    this.isoChildren = [];
+
+    /**
+     * @property {boolean} _flatten - The cached flatten setting.
+     * @private
+     */
+    this._flatten = false;
+
+    /**
+     * @property {boolean} _relocating - True while children are being moved between this IsoContainer and its parent, so their membership is kept.
+     * @private
+     */
+    this._relocating = false;
+
+    Phaser.Plugin.Isometric.IsoGroup.call(this, game, null, name);
+
+    Phaser.Plugin.Isometric.IsoObject.init(this, x, y, z);
+
+    //  Only added to the parent once set up, in case the parent is itself an IsoContainer
+    if (typeof parent === 'undefined') {
+        parent = game.world;
+    }
+
+    if (parent) {
+        parent.addChild(this);
+    }
+};
+
+Phaser.Plugin.Isometric.IsoContainer.prototype = Object.create(Phaser.Plugin.Isometric.IsoGroup.prototype);
+Phaser.Plugin.Isometric.IsoContainer.prototype.constructor = Phaser.Plugin.Isometric.IsoContainer;
+
+Phaser.Plugin.Isometric.IsoObject.install(Phaser.Plugin.Isometric.IsoContainer.prototype);
+
+/**
+ * Adds a child to this IsoContainer, making its position relative to the container.
+ *
+ * @method Phaser.Plugin.Isometric.IsoContainer#addChildAt
+ * @memberof Phaser.Plugin.Isometric.IsoContainer
+ * @param {DisplayObject} child - The child to add.
+ * @param {number} index - The index to place the child at.
+ * @return {DisplayObject} The child that was added.
+ */
+Phaser.Plugin.Isometric.IsoContainer.prototype.addChildAt = function (child, index) {
+    Phaser.Group.prototype.addChildAt.call(this, child, index);
+
+    if (this.isoChildren.indexOf(child) === -1) {
+        this.isoChildren.push(child);
+    }
+
+    child.isoParent = this;
+
+    if (Phaser.Plugin.Isometric.IsoObject.isIsoObject(child)) {
+        child._invalidateIsoPosition();
+    }
+
+    return child;
+};
+
+/**
+ * Removes a child from this IsoContainer, making its position relative to the world again.
+ *
+ * @method Phaser.Plugin.Isometric.IsoContainer#removeChildAt
+ * @memberof Phaser.Plugin.Isometric.IsoContainer
+ * @param {number} index - The index of the child to remove.
+ * @return {DisplayObject} The child that was removed.
+ */
+Phaser.Plugin.Isometric.IsoContainer.prototype.removeChildAt = function (index) {
+    var child = Phaser.Group.prototype.removeChildAt.call(this, index);
+
+    if (child && !this._relocating) {
+        this._removeIsoChild(child);
+    }
+
+    return child;
+};
+
+/**
+ * Internal function called by the World postUpdate cycle.
+ *
+ * @method Phaser.Plugin.Isometric.IsoContainer#postUpdate
+ * @memberof Phaser.Plugin.Isometric.IsoContainer
+ */
+Phaser.Plugin.Isometric.IsoContainer.prototype.postUpdate = function () {
+    this._updateIsoChildren();
+    this._project();
+
+    Phaser.Plugin.Isometric.IsoGroup.prototype.postUpdate.call(this);
+};
+
+/**
+ * Recalculate the 3D bounds of the IsoContainer; the smallest Cube enclosing the bounds of everything drawn within it, or an empty Cube at its position if nothing is
+ * (such as when it is flattened).
+ *
+ * @method Phaser.Plugin.Isometric.IsoContainer#resetIsoBounds
+ * @memberof Phaser.Plugin.Isometric.IsoContainer
+ * @return {Phaser.Plugin.Isometric.Cube} The bounds.
+ */
+Phaser.Plugin.Isometric.IsoContainer.prototype.resetIsoBounds = function () {
+    if (typeof this._isoBounds === "undefined") {
+        this._isoBounds = new Phaser.Plugin.Isometric.Cube();
+    }
+
+    var position = this.isoWorldPosition;
+    var children = this.children;
+    var minX = Infinity, minY = Infinity, minZ = Infinity;
+    var maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    var i, bounds;
+
+    for (i = 0; i < children.length; i++) {
+        if (!children[i].exists || !children[i].isoBounds) {
+            continue;
+        }
+
+        bounds = children[i].isoBounds;
+        minX = Math.min(minX, bounds.x);
+        minY = Math.min(minY, bounds.y);
+        minZ = Math.min(minZ, bounds.z);
+        maxX = Math.max(maxX, bounds.frontX);
+        maxY = Math.max(maxY, bounds.frontY);
+        maxZ = Math.max(maxZ, bounds.top);
+    }
+
+    if (minX === Infinity) {
+        return this._isoBounds.setTo(position.x, position.y, position.z, 0, 0, 0);
+    }
+
+    return this._isoBounds.setTo(minX, minY, minZ, maxX - minX, maxY - minY, maxZ - minZ);
+};
+
+/**
+ * Flag the IsoContainer to be projected again, along with everything positioned relative to it.
+ *
+ * @method Phaser.Plugin.Isometric.IsoContainer#_invalidateIsoPosition
+ * @memberof Phaser.Plugin.Isometric.IsoContainer
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoContainer.prototype._invalidateIsoPosition = function () {
+    Phaser.Plugin.Isometric.IsoObject.prototype._invalidateIsoPosition.call(this);
+
+    for (var i = 0; i < this.isoChildren.length; i++) {
+        if (Phaser.Plugin.Isometric.IsoObject.isIsoObject(this.isoChildren[i])) {
+            this.isoChildren[i]._invalidateIsoPosition();
+        }
+    }
+};
+
+/**
+ * Determine whether the number of children which exist has changed since this was last called. The bounds of an IsoContainer enclose those of its children rather than
+ * coming from a texture; the children flag them as they change themselves, but not when they are killed or revived.
+ *
+ * @method Phaser.Plugin.Isometric.IsoContainer#_hasIsoSizeChanged
+ * @memberof Phaser.Plugin.Isometric.IsoContainer
+ * @return {boolean} True if the bounds need recalculating.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoContainer.prototype._hasIsoSizeChanged = function () {
+    var count = 0;
+
+    for (var i = 0; i < this.children.length; i++) {
+        if (this.children[i].exists) {
+            count++;
+        }
+    }
+
+    if (this._isoSizeState[0] === count) {
+        return false;
+    }
+
+    this._isoSizeState[0] = count;
+
+    return true;
+};
+
+/**
+ * Forget about children which have been removed from the display list, and move children into or out of the parent of this IsoContainer to match its flatten setting.
+ *
+ * @method Phaser.Plugin.Isometric.IsoContainer#_updateIsoChildren
+ * @memberof Phaser.Plugin.Isometric.IsoContainer
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoContainer.prototype._updateIsoChildren = function () {
+    var children = this.isoChildren;
+    var parent = this.parent;
+    var i, child;
+
+    for (i = children.length - 1; i >= 0; i--) {
+        child = children[i];
+
+        if (child.parent !== this && (!parent || child.parent !== parent)) {
+            this._removeIsoChild(child);
+        }
+    }
+
+    if (!parent) {
+        return;
+    }
+
+    this._relocating = true;
+
+    for (i = 0; i < children.length; i++) {
+        child = children[i];
+
+        if (this._flatten && child.parent === this) {
+            parent.addAt(child, parent.getChildIndex(this) + 1, true);
+
+            if (child.isoParent !== this) {
+                //  The parent is an IsoContainer too, and has claimed the child as its own
+                child.isoParent._removeIsoChild(child);
+                child.isoParent = this;
+            }
+
+            child._isoPositionChanged = true;
+        }
+        else if (!this._flatten && child.parent === parent) {
+            this.add(child, true);
+            child._isoPositionChanged = true;
+        }
+    }
+
+    this._relocating = false;
+};
+
+/**
+ * Stop an object being positioned relative to this IsoContainer.
+ *
+ * @method Phaser.Plugin.Isometric.IsoContainer#_removeIsoChild
+ * @memberof Phaser.Plugin.Isometric.IsoContainer
+ * @param {DisplayObject} child - The object to remove.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoContainer.prototype._removeIsoChild = function (child) {
+    var index = this.isoChildren.indexOf(child);
+
+    if (index !== -1) {
+        this.isoChildren.splice(index, 1);
+    }
+
+    if (child.isoParent === this) {
+        child.isoParent = null;
+
+        if (Phaser.Plugin.Isometric.IsoObject.isIsoObject(child)) {
+            child._invalidateIsoPosition();
+        }
+    }
+
+    this._invalidateIsoBounds();
+};
+
+/**
+ * If true, the children of this IsoContainer are moved into the group it is in and sorted along with everything else there, rather than the container being sorted as one unit.
+ * The children stay positioned relative to the container either way. Changes take effect on the next postUpdate.
+ *
+ * @name Phaser.Plugin.Isometric.IsoContainer#flatten
+ * @property {boolean} flatten - Whether the children of this IsoContainer are sorted by the group it is in.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.IsoContainer.prototype, "flatten", {
+    get: function () {
+        return this._flatten;
+    },
+    set: function (value) {
+        this._flatten = value;
+        this._invalidateIsoBounds();
+    }
+});
+
+/**
+ * Create a new IsoContainer, whose children are positioned relative to it.
+ *
+ * @method Phaser.GameObjectCreator#isoContainer
+ * @param {number} x - X position of the new IsoContainer.
+ * @param {number} y - Y position of the new IsoContainer.
+ * @param {number} z - Z position of the new IsoContainer.
+ * @param {any} [parent] - The parent Group or DisplayObjectContainer that will hold this container, if any.
+ * @param {string} [name='group'] - A name for this container. Not used internally but useful for debugging.
+ * @returns {Phaser.Plugin.Isometric.IsoContainer} The newly created IsoContainer.
+ */
+Phaser.GameObjectCreator.prototype.isoContainer = function (x, y, z, parent, name) {
+
+    return new Phaser.Plugin.Isometric.IsoContainer(this.game, x, y, z, parent, name);
+
+};
+
+/**
+ * Create a new IsoContainer, whose children are positioned relative to it.
+ *
+ * @method Phaser.GameObjectFactory#isoContainer
+ * @param {number} x - X position of the new IsoContainer.
+ * @param {number} y - Y position of the new IsoContainer.
+ * @param {number} z - Z position of the new IsoContainer.
+ * @param {any} [parent] - The parent Group or DisplayObjectContainer that will hold this container, if any. If set to null the container won't be added to the display list. If undefined it will be added to World by default.
+ * @param {string} [name='group'] - A name for this container. Not used internally but useful for debugging.
+ * @returns {Phaser.Plugin.Isometric.IsoContainer} The newly created IsoContainer.
+ */
+Phaser.GameObjectFactory.prototype.isoContainer = function (x, y, z, parent, name) {
+
+    return new Phaser.Plugin.Isometric.IsoContainer(this.game, x, y, z, parent, name);
+
+};
@@ -0,0 +1,558 @@
+/**
+* @class Phaser.Plugin.Isometric.IsoGroup
+*
+* @classdesc
+* Create a new `IsoGroup` object. IsoGroups are Groups which keep their IsoSprites depth sorted automatically. After each postUpdate the IsoGroup checks whether any
+* of its children have moved, changed size or been added, removed or reordered, and if so sorts them using its sort strategy. On frames where nothing has changed,
+* sorting is skipped entirely.
+*
+* By default the IsoGroup also culls its children; those whose projected isoBounds fall entirely outside the camera view are made unrenderable, left unprojected and
+* skipped by the sort until they come back into view. An Octree of the children, kept up to date as they move, is used to reject most of those far from the view
+* without projecting them. Groups within the IsoGroup other than IsoContainers are never culled themselves, though IsoGroups within it cull their own children.
+*
+* Groups and IsoGroups may be nested within an IsoGroup. They are left out of the sort and keep their places among the children, while the iso display objects around
+* them are sorted into the remaining places. IsoContainers are the exception; they have a position of their own, so are sorted and culled as one unit like any other
+* iso display object.
+*
+* @constructor
+* @extends Phaser.Group
+* @param {Phaser.Game} game - A reference to the currently running game.
+* @param {DisplayObject|null} [parent=(game world)] - The parent Group (or other DisplayObject) that this group will be added to. If undefined/unspecified the Group will be added to the Game World; if null the Group will not be added to any parent.
+* @param {string} [name='group'] - A name for this group. Not used internally but useful for debugging.
+* @param {boolean} [addToStage=false] - If true this group will be added directly to the Game.Stage instead of Game.World.
+* @param {boolean} [enableBody=false] - If true all Sprites created with #create or #createMulitple will have a physics body created on them. Change the body type with #physicsBodyType.
+* @param {number} [physicsBodyType=0] - The physics body type to use when physics bodies are automatically added. See {@link #physicsBodyType} for values.
+*/
+Phaser.Plugin.Isometric.IsoGroup = function (game, parent, name, addToStage, enableBody, physicsBodyType) {
+
+    Phaser.Group.call(this, game, parent, name, addToStage, enableBody, physicsBodyType);
+
+    /**
+     * @property {number|function} sortStrategy - How the children are sorted; one of Phaser.Plugin.Isometric.SORT_NONE, SORT_SIMPLE, SORT_TOPOLOGICAL or SORT_INCREMENTAL,
+     * or a comparator function which is passed two children and returns a negative number, zero or a positive number like those used by Array#sort.
+     * @default
+     */
+    this.sortStrategy = Phaser.Plugin.Isometric.SORT_TOPOLOGICAL;
+
+    /**
+     * @property {number} sortPadding - The amount of extra tolerance used by the topological and incremental sorts. See Projector#topologicalSort.
+     * @default
+     */
+    this.sortPadding = 1.5;
+
+    /**
+     * @property {boolean} sorted - True if the children were sorted during the last postUpdate.
+     * @readonly
+     */
+    this.sorted = false;
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Occlusion} occlusion - If set, Occlusion#update is called with this IsoGroup after each postUpdate, once the children are sorted.
+     * @default
+     */
+    this.occlusion = null;
+
+    /**
+     * @property {boolean} cull - If true, children outside the camera view are culled after each postUpdate.
+     * @default
+     */
+    this.cull = true;
+
+    /**
+     * @property {number} cullPadding - The distance in pixels the camera view is extended by on every side when culling, so that children whose textures reach a
+     * little beyond their isoBounds aren't culled while still partly in view.
+     * @default
+     */
+    this.cullPadding = 32;
+
+    /**
+     * @property {number} culledCount - The number of children culled by the last culling pass; useful for profiling.
+     * @readonly
+     */
+    this.culledCount = 0;
+
+    /**
+     * @property {number} visibleCount - The number of children found within the camera view by the last culling pass; useful for profiling.
+     * @readonly
+     */
+    this.visibleCount = 0;
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Marquee} _culler - The Marquee used to find the children within the camera view, which holds them in an Octree. The Octree is
+     * only rebuilt when children come or go; children which move are moved within it.
+     * @private
+     */
+    this._culler = null;
+
+    /**
+     * @property {array} _cullChildren - The children which could be culled, as of when the Octree was last built. Their order isn't kept up to date.
+     * @private
+     */
+    this._cullChildren = [];
+
+    /**
+     * @property {array} _cullCandidates - Internal cache var.
+     * @private
+     */
+    this._cullCandidates = [];
+
+    /**
+     * @property {number} _cullStamp - The number of culling passes so far.
+     * @private
+     */
+    this._cullStamp = 0;
+
+    /**
+     * @property {boolean} _cullChanged - True if any child was culled or unculled by the last culling pass, so the children need sorting.
+     * @private
+     */
+    this._cullChanged = false;
+
+    /**
+     * @property {array} _sortVisible - Internal cache of the iso display objects among the children which aren't culled, for sorting.
+     * @private
+     */
+    this._sortVisible = [];
+
+    /**
+     * @property {array} _sortOrder - Internal cache of the sorted iso display objects among the children, for placing them back among the other children.
+     * @private
+     */
+    this._sortOrder = [];
+
+    /**
+     * @property {Phaser.Point} _point - Internal cache var.
+     * @private
+     */
+    this._point = new Phaser.Point();
+
+    /**
+     * @property {Phaser.Plugin.Isometric.IncrementalSorter} _sorter - The sorter used by the incremental strategy.
+     * @private
+     */
+    this._sorter = null;
+
+    /**
+     * @property {array} _sortChildren - The iso display objects among the children, in order, as of the last sort.
+     * @private
+     */
+    this._sortChildren = [];
+
+    /**
+     * @property {array} _sortCache - The layer and revision of each child as of the last sort.
+     * @private
+     */
+    this._sortCache = [];
+
+    /**
+     * @property {number|function} _sortStrategy - The sort strategy used by the last sort.
+     * @private
+     */
+    this._sortStrategy = null;
+
+};
+
+Phaser.Plugin.Isometric.IsoGroup.prototype = Object.create(Phaser.Group.prototype);
+Phaser.Plugin.Isometric.IsoGroup.prototype.constructor = Phaser.Plugin.Isometric.IsoGroup;
+
+//  Sort strategies
+Phaser.Plugin.Isometric.SORT_NONE = 0;
+Phaser.Plugin.Isometric.SORT_SIMPLE = 1;
+Phaser.Plugin.Isometric.SORT_TOPOLOGICAL = 2;
+Phaser.Plugin.Isometric.SORT_INCREMENTAL = 3;
+
+/**
+ * Internal function called by the World postUpdate cycle.
+ *
+ * @method Phaser.Plugin.Isometric.IsoGroup#postUpdate
+ * @memberof Phaser.Plugin.Isometric.IsoGroup
+ */
+Phaser.Plugin.Isometric.IsoGroup.prototype.postUpdate = function () {
+    Phaser.Group.prototype.postUpdate.call(this);
+
+    this.sorted = false;
+
+    var changed = (this.cull || this.sortStrategy !== Phaser.Plugin.Isometric.SORT_NONE) && this._hasChanged();
+
+    if (this.cull) {
+        this.cullChildren(!changed);
+
+        //  Without a sort to store the state of the children, store it here so that the Octree is only rebuilt when they change
+        if (changed && this.sortStrategy === Phaser.Plugin.Isometric.SORT_NONE) {
+            this._storeSortState();
+        }
+    }
+    else if (this.culledCount > 0) {
+        this.uncullChildren();
+    }
+
+    if (this.sortStrategy !== Phaser.Plugin.Isometric.SORT_NONE && (changed || this._cullChanged)) {
+        this.isoSort();
+    }
+
+    if (this.occlusion) {
+        this.occlusion.update(this);
+    }
+};
+
+/**
+ * Sort the children now using the sort strategy, whether or not anything has changed. Culled children are left out of the sort and placed first, while Groups within
+ * this IsoGroup keep their places.
+ *
+ * @method Phaser.Plugin.Isometric.IsoGroup#isoSort
+ * @memberof Phaser.Plugin.Isometric.IsoGroup
+ */
+Phaser.Plugin.Isometric.IsoGroup.prototype.isoSort = function () {
+    var projector = this._getProjector();
+    var strategy = this.sortStrategy;
+    var children = this.children;
+    var sortable = this._sortVisible;
+    var i;
+
+    sortable.length = 0;
+
+    for (i = 0; i < children.length; i++) {
+        if (this._isSortable(children[i]) && !children[i].isoCulled) {
+            sortable.push(children[i]);
+        }
+    }
+
+    //  The whole group can be sorted directly when every child takes part
+    if (sortable.length === children.length || typeof strategy === 'function') {
+        sortable = this;
+    }
+
+    if (typeof strategy === 'function') {
+        this.customSort(strategy);
+    }
+    else if (strategy === Phaser.Plugin.Isometric.SORT_SIMPLE) {
+        if (sortable === this) {
+            projector.simpleSort(this);
+        }
+        else {
+            sortable.sort(function (a, b) {
+                return projector._simpleSortHandler(a, b);
+            });
+
+            for (i = 0; i < sortable.length; i++) {
+                sortable[i].isoDepth = i;
+            }
+        }
+    }
+    else if (strategy === Phaser.Plugin.Isometric.SORT_TOPOLOGICAL) {
+        projector.topologicalSort(sortable, this.sortPadding);
+    }
+    else if (strategy === Phaser.Plugin.Isometric.SORT_INCREMENTAL) {
+        if (!this._sorter || this._sorter.projector !== projector) {
+            this._sorter = new Phaser.Plugin.Isometric.IncrementalSorter(projector);
+        }
+
+        this._sorter.padding = this.sortPadding;
+        this._sorter.sort(sortable);
+    }
+
+    if (sortable !== this) {
+        this._placeSorted(sortable);
+    }
+
+    this.sorted = true;
+    this._cullChanged = false;
+    this._storeSortState();
+};
+
+/**
+ * Cull the children now; hide those whose projected isoBounds fall entirely outside the camera view, extended by IsoGroup#cullPadding, and show those back in view.
+ * Groups within this IsoGroup and children which don't exist or aren't visible are left alone.
+ *
+ * @method Phaser.Plugin.Isometric.IsoGroup#cullChildren
+ * @memberof Phaser.Plugin.Isometric.IsoGroup
+ * @param {boolean} [unchanged=false] - Set to true if none of the children have moved since the last culling pass, so the Octree needn't be checked for changes.
+ */
+Phaser.Plugin.Isometric.IsoGroup.prototype.cullChildren = function (unchanged) {
+    var children = this.children;
+    var candidates = this._cullCandidates;
+    var previous = this._cullChildren;
+    var view = this.game.camera.view;
+    var padding = this.cullPadding;
+    var rebuild, i, child, visible;
+
+    candidates.length = 0;
+
+    for (i = 0; i < children.length; i++) {
+        child = children[i];
+
+        if (child.exists && child.visible && this._isSortable(child)) {
+            candidates.push(child);
+        }
+    }
+
+    //  Rebuild only when a child comes or goes; the children are reordered by sorting, so membership is tracked on the children themselves
+    rebuild = (candidates.length !== previous.length);
+
+    for (i = 0; i < candidates.length && !rebuild; i++) {
+        rebuild = (candidates[i]._isoCullGroup !== this);
+    }
+
+    if (rebuild) {
+        for (i = 0; i < previous.length; i++) {
+            if (previous[i]._isoCullGroup === this) {
+                previous[i]._isoCullGroup = null;
+            }
+        }
+
+        for (i = 0; i < candidates.length; i++) {
+            candidates[i]._isoCullGroup = this;
+        }
+
+        //  Show any culled child that has since been removed or hidden
+        for (i = 0; i < previous.length; i++) {
+            if (previous[i].isoCulled && previous[i]._isoCullGroup !== this) {
+                this._setCulled(previous[i], false);
+            }
+        }
+
+        this._cullChildren = candidates;
+        this._cullCandidates = previous;
+    }
+
+    if (!this._culler) {
+        this._culler = new Phaser.Plugin.Isometric.Marquee(this.game, this._cullChildren, Phaser.Plugin.Isometric.SELECT_SCREEN);
+    }
+
+    this._culler.group = this._cullChildren;
+    this._culler.projector = this._getProjector();
+
+    if (rebuild) {
+        this._culler.begin(this._point.setTo(-padding, -padding));
+    }
+    else {
+        this._culler._start.setTo(-padding, -padding);
+
+        if (!unchanged) {
+            this._culler.refresh();
+        }
+    }
+
+    visible = this._culler.update(this._point.setTo(view.width + padding, view.height + padding));
+
+    this._cullStamp++;
+
+    for (i = 0; i < visible.length; i++) {
+        visible[i]._isoCullStamp = this._cullStamp;
+    }
+
+    this.culledCount = 0;
+    this.visibleCount = visible.length;
+
+    for (i = 0; i < this._cullChildren.length; i++) {
+        child = this._cullChildren[i];
+        this._setCulled(child, child._isoCullStamp !== this._cullStamp);
+
+        if (child.isoCulled) {
+            this.culledCount++;
+        }
+    }
+};
+
+/**
+ * Show every culled child again.
+ *
+ * @method Phaser.Plugin.Isometric.IsoGroup#uncullChildren
+ * @memberof Phaser.Plugin.Isometric.IsoGroup
+ */
+Phaser.Plugin.Isometric.IsoGroup.prototype.uncullChildren = function () {
+    for (var i = 0; i < this._cullChildren.length; i++) {
+        this._setCulled(this._cullChildren[i], false);
+    }
+
+    this._cullChildren.length = 0;
+    this.culledCount = 0;
+    this.visibleCount = 0;
+};
+
+/**
+ * Cull or uncull a child, projecting it again if it is coming back into view.
+ *
+ * @method Phaser.Plugin.Isometric.IsoGroup#_setCulled
+ * @memberof Phaser.Plugin.Isometric.IsoGroup
+ * @param {PIXI.DisplayObject} child - The child.
+ * @param {boolean} culled - True to cull the child, false to uncull it.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoGroup.prototype._setCulled = function (child, culled) {
+    if (child.isoCulled === culled) {
+        return;
+    }
+
+    child.isoCulled = culled;
+    child.renderable = !culled;
+    this._cullChanged = true;
+
+    if (!culled) {
+        child._project();
+    }
+};
+
+/**
+ * Put the sorted iso display objects back among the children, after any which are culled and in the places of the children which are iso display objects, so that
+ * any Groups keep their places.
+ *
+ * @method Phaser.Plugin.Isometric.IsoGroup#_placeSorted
+ * @memberof Phaser.Plugin.Isometric.IsoGroup
+ * @param {array} sorted - The iso display objects which were sorted, each with its isoDepth set.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoGroup.prototype._placeSorted = function (sorted) {
+    var children = this.children;
+    var order = this._sortOrder;
+    var i, j;
+
+    order.length = 0;
+
+    //  Only the children in view were given a depth, so put the rest first where they are out of the way
+    for (i = 0; i < children.length; i++) {
+        if (this._isSortable(children[i]) && children[i].isoCulled) {
+            children[i].isoDepth = -1;
+            order.push(children[i]);
+        }
+    }
+
+    sorted.sort(function (a, b) {
+        return a.isoDepth - b.isoDepth;
+    });
+
+    for (i = 0; i < sorted.length; i++) {
+        order.push(sorted[i]);
+    }
+
+    for (i = 0, j = 0; i < children.length; i++) {
+        if (this._isSortable(children[i])) {
+            children[i] = order[j++];
+        }
+    }
+
+    this.updateZ();
+};
+
+/**
+ * Determine whether a child is an iso display object which is sorted and culled, rather than a Group within this IsoGroup. IsoContainers are iso display objects.
+ *
+ * @method Phaser.Plugin.Isometric.IsoGroup#_isSortable
+ * @memberof Phaser.Plugin.Isometric.IsoGroup
+ * @param {PIXI.DisplayObject} child - The child.
+ * @return {boolean} True if the child is sorted.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoGroup.prototype._isSortable = function (child) {
+    return Phaser.Plugin.Isometric.IsoObject.isIsoObject(child) && (child.type !== Phaser.GROUP || child instanceof Phaser.Plugin.Isometric.IsoContainer);
+};
+
+/**
+ * Get the Projector the children are projected and sorted with.
+ *
+ * @method Phaser.Plugin.Isometric.IsoGroup#_getProjector
+ * @memberof Phaser.Plugin.Isometric.IsoGroup
+ * @return {Phaser.Plugin.Isometric.Projector} The Projector.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoGroup.prototype._getProjector = function () {
+    return this.projector || Phaser.Plugin.Isometric.Projector.getProjector(this, this.game);
+};
+
+/**
+ * Determine whether anything that affects the order of the children has changed since the last sort.
+ *
+ * @method Phaser.Plugin.Isometric.IsoGroup#_hasChanged
+ * @memberof Phaser.Plugin.Isometric.IsoGroup
+ * @return {boolean} True if the children need sorting.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoGroup.prototype._hasChanged = function () {
+    var children = this.children;
+
+    if (this.sortStrategy !== this._sortStrategy) {
+        return true;
+    }
+
+    var cache = this._sortCache;
+    var i, n = 0, child;
+
+    //  Children are only flagged when they move or change, so unless one has been there is no need to look at their bounds
+    for (i = 0; i < children.length; i++) {
+        child = children[i];
+
+        if (!this._isSortable(child)) {
+            continue;
+        }
+
+        if (child !== this._sortChildren[n] || child.isoLayer !== cache[n * 2] || child._isoRevision !== cache[n * 2 + 1]) {
+            return true;
+        }
+
+        n++;
+    }
+
+    return (n !== this._sortChildren.length);
+};
+
+/**
+ * Store the order, layer and revision of the children, to compare against when checking for changes.
+ *
+ * @method Phaser.Plugin.Isometric.IsoGroup#_storeSortState
+ * @memberof Phaser.Plugin.Isometric.IsoGroup
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoGroup.prototype._storeSortState = function () {
+    var children = this.children;
+    var cache = this._sortCache;
+    var n = 0;
+
+    this._sortStrategy = this.sortStrategy;
+
+    for (var i = 0; i < children.length; i++) {
+        if (!this._isSortable(children[i])) {
+            continue;
+        }
+
+        this._sortChildren[n] = children[i];
+        cache[n * 2] = children[i].isoLayer;
+        cache[n * 2 + 1] = children[i]._isoRevision;
+        n++;
+    }
+
+    this._sortChildren.length = n;
+};
+
+/**
+ * Create a new IsoGroup, which depth sorts its children automatically.
+ *
+ * @method Phaser.GameObjectCreator#isoGroup
+ * @param {any} [parent] - The parent Group or DisplayObjectContainer that will hold this group, if any.
+ * @param {string} [name='group'] - A name for this Group. Not used internally but useful for debugging.
+ * @param {boolean} [addToStage=false] - If set to true this Group will be added directly to the Game.Stage instead of Game.World.
+ * @param {boolean} [enableBody=false] - If true all Sprites created with `Group.create` or `Group.createMulitple` will have a physics body created on them. Change the body type with physicsBodyType.
+ * @param {number} [physicsBodyType=0] - If enableBody is true this is the type of physics body that is created on new Sprites. Phaser.Plugin.Isometric.ISOARCADE, etc.
+ * @returns {Phaser.Plugin.Isometric.IsoGroup} The newly created IsoGroup.
+ */
+Phaser.GameObjectCreator.prototype.isoGroup = function (parent, name, addToStage, enableBody, physicsBodyType) {
+
+    return new Phaser.Plugin.Isometric.IsoGroup(this.game, parent, name, addToStage, enableBody, physicsBodyType);
+
+};
+
+/**
+ * Create a new IsoGroup, which depth sorts its children automatically.
+ *
+ * @method Phaser.GameObjectFactory#isoGroup
+ * @param {any} [parent] - The parent Group or DisplayObjectContainer that will hold this group, if any. If set to null the Group won't be added to the display list. If undefined it will be added to World by default.
+ * @param {string} [name='group'] - A name for this Group. Not used internally but useful for debugging.
+ * @param {boolean} [addToStage=false] - If set to true this Group will be added directly to the Game.Stage instead of Game.World.
+ * @param {boolean} [enableBody=false] - If true all Sprites created with `Group.create` or `Group.createMulitple` will have a physics body created on them. Change the body type with physicsBodyType.
+ * @param {number} [physicsBodyType=0] - If enableBody is true this is the type of physics body that is created on new Sprites. Phaser.Plugin.Isometric.ISOARCADE, etc.
+ * @returns {Phaser.Plugin.Isometric.IsoGroup} The newly created IsoGroup.
+ */
+Phaser.GameObjectFactory.prototype.isoGroup = function (parent, name, addToStage, enableBody, physicsBodyType) {
+
+    return new Phaser.Plugin.Isometric.IsoGroup(this.game, parent, name, addToStage, enableBody, physicsBodyType);
+
+};
@@ -0,0 +1,170 @@
+/**
+ * @class Phaser.Plugin.Isometric.IsoHitArea
+ *
+ * @classdesc
+ * Creates a new IsoHitArea, which can be used as the hitArea of an iso display object so that Phaser's input handling tests the pointer against the shape the object
+ * takes up on the screen in 3D space, rather than against its 2D rectangle. This stops the transparent corners of diamond tiles stealing clicks from their neighbours.
+ * Whenever a pointer hits, the point in 3D space it hit is stored in the isoInputPoint of the object, so it can be read from within input event handlers.
+ * Usually created with IsoObject#enableIsoInput.
+ *
+ * @constructor
+ * @param {PIXI.DisplayObject} object - The iso display object the hit area belongs to.
+ * @param {number} [mode] - What the pointer is tested against; Phaser.Plugin.Isometric.HIT_BOUNDS (the default) for the projected outline of the isoBounds, or
+ * Phaser.Plugin.Isometric.HIT_TOP for the diamond of its top face.
+ */
+Phaser.Plugin.Isometric.IsoHitArea = function (object, mode) {
+
+    /**
+     * @property {PIXI.DisplayObject} object - The iso display object the hit area belongs to.
+     * @readonly
+     */
+    this.object = object;
+
+    /**
+     * @property {number} mode - What the pointer is tested against; either Phaser.Plugin.Isometric.HIT_BOUNDS or HIT_TOP.
+     */
+    this.mode = (typeof mode === 'undefined') ? Phaser.Plugin.Isometric.HIT_BOUNDS : mode;
+
+    /**
+     * @property {Phaser.Polygon} polygon - The outline tested on the last hit test, in the space the object is positioned in.
+     * @readonly
+     */
+    this.polygon = new Phaser.Polygon();
+
+    /**
+     * @property {Phaser.Point} _point - Internal cache var.
+     * @private
+     */
+    this._point = new Phaser.Point();
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Point3} _origin - Internal cache var.
+     * @private
+     */
+    this._origin = new Phaser.Plugin.Isometric.Point3();
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Point3} _direction - Internal cache var.
+     * @private
+     */
+    this._direction = new Phaser.Plugin.Isometric.Point3();
+
+};
+
+//  Hit test modes
+Phaser.Plugin.Isometric.HIT_RECTANGLE = 0;
+Phaser.Plugin.Isometric.HIT_BOUNDS = 1;
+Phaser.Plugin.Isometric.HIT_TOP = 2;
+
+//  Drag planes
+Phaser.Plugin.Isometric.DRAG_XY = 0;
+Phaser.Plugin.Isometric.DRAG_Z = 1;
+
+Phaser.Plugin.Isometric.IsoHitArea.prototype = {
+
+    /**
+     * Test whether a point is within the hit area, and if so store the point in 3D space it hit in the isoInputPoint of the object. Called by Phaser's input handling.
+     *
+     * @method Phaser.Plugin.Isometric.IsoHitArea#contains
+     * @param {number} x - The x coordinate of the point, local to the object.
+     * @param {number} y - The y coordinate of the point, local to the object.
+     * @return {boolean} True if the point is within the hit area.
+     */
+    contains: function (x, y) {
+        var object = this.object;
+        var projector = object.projector;
+        var bounds = object.isoBounds;
+        var point = this._point;
+        var corners = bounds.getCorners();
+        var points = [];
+        var i;
+
+        //  Take the point from local space back into the space the object is positioned in
+        var sx = x * object.scale.x;
+        var sy = y * object.scale.y;
+        var cos = Math.cos(object.rotation);
+        var sin = Math.sin(object.rotation);
+
+        point.setTo((sx * cos) - (sy * sin) + object.position.x, (sx * sin) + (sy * cos) + object.position.y);
+
+        if (object.parent instanceof Phaser.Plugin.Isometric.IsoContainer) {
+            var origin = projector.project(object.parent.isoWorldPosition);
+
+            point.x += origin.x;
+            point.y += origin.y;
+        }
+
+        for (i = 0; i < corners.length; i++) {
+            //  Only the top corners (see Cube#getCorners) for the top face
+            if (this.mode !== Phaser.Plugin.Isometric.HIT_TOP || (i & 1)) {
+                points.push(projector.project(corners[i]));
+            }
+        }
+
+        this.polygon.setTo(Phaser.Plugin.Isometric.IsoHitArea.getHull(points));
+
+        if (!this.polygon.contains(point.x, point.y)) {
+            return false;
+        }
+
+        var hit = object.isoInputPoint;
+
+        if (this.mode === Phaser.Plugin.Isometric.HIT_BOUNDS) {
+            projector.unprojectPosition(point, this._origin, bounds.top + 1);
+
+            if (Phaser.Plugin.Isometric.Cube.intersectsRay(bounds, this._origin, projector.getViewDirection(this._direction), hit) >= 0) {
+                return true;
+            }
+        }
+
+        projector.unprojectPosition(point, hit, bounds.top);
+
+        return true;
+    }
+
+};
+
+Phaser.Plugin.Isometric.IsoHitArea.prototype.constructor = Phaser.Plugin.Isometric.IsoHitArea;
+
+/**
+ * Find the convex hull of a set of points, in clockwise order on the screen.
+ *
+ * @method Phaser.Plugin.Isometric.IsoHitArea.getHull
+ * @param {Array.<Phaser.Point>} points - The points.
+ * @return {Array.<Phaser.Point>} The points on the hull.
+ */
+Phaser.Plugin.Isometric.IsoHitArea.getHull = function (points) {
+    var sorted = points.slice().sort(function (a, b) {
+        return (a.x === b.x) ? a.y - b.y : a.x - b.x;
+    });
+
+    var cross = function (o, a, b) {
+        return ((a.x - o.x) * (b.y - o.y)) - ((a.y - o.y) * (b.x - o.x));
+    };
+
+    var lower = [];
+    var upper = [];
+    var i;
+
+    //  Andrew's monotone chain
+    for (i = 0; i < sorted.length; i++) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], sorted[i]) <= 0) {
+            lower.pop();
+        }
+
+        lower.push(sorted[i]);
+    }
+
+    for (i = sorted.length - 1; i >= 0; i--) {
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], sorted[i]) <= 0) {
+            upper.pop();
+        }
+
+        upper.push(sorted[i]);
+    }
+
+    lower.pop();
+    upper.pop();
+
+    return lower.concat(upper);
+};
@@ -0,0 +1,128 @@
+/**
+* @class Phaser.Plugin.Isometric.IsoImage
+*
+* @classdesc
+* Create a new `IsoImage` object. IsoImages are extended versions of standard Images that are suitable for axonometric positioning. They share the isoX, isoY and isoZ
+* position properties, snapping, bounds and depth of IsoSprites, but like standard Images have no animation, which makes them a lighter choice for static scenery.
+* An isoArcade physics body can still be enabled on them.
+*
+* @constructor
+* @extends Phaser.Image
+* @param {Phaser.Game} game - A reference to the currently running game.
+* @param {number} x - The x coordinate (in 3D space) to position the IsoImage at.
+* @param {number} y - The y coordinate (in 3D space) to position the IsoImage at.
+* @param {number} z - The z coordinate (in 3D space) to position the IsoImage at.
+* @param {string|Phaser.RenderTexture|Phaser.BitmapData|PIXI.Texture} key - This is the image or texture used by the IsoImage during rendering. It can be a string which is a reference to the Cache entry, or an instance of a RenderTexture or PIXI.Texture.
+* @param {string|number} frame - If this IsoImage is using part of a sprite sheet or texture atlas you can specify the exact frame to use by giving a string or numeric index.
+ */
+Phaser.Plugin.Isometric.IsoImage = function (game, x, y, z, key, frame) {
+
+    Phaser.Image.call(this, game, x, y, key, frame);
+
+    /**
+     * @property {number} type - The const type of this object.
+     * @readonly
+     */
+    this.type = Phaser.Plugin.Isometric.ISOIMAGE;
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Body} body - The isoArcade physics body of this IsoImage, if one has been enabled.
+     * @default
+     */
+    this.body = null;
+
+    Phaser.Plugin.Isometric.IsoObject.init(this, x, y, z);
+};
+
+Phaser.Plugin.Isometric.IsoImage.prototype = Object.create(Phaser.Image.prototype);
+Phaser.Plugin.Isometric.IsoImage.prototype.constructor = Phaser.Plugin.Isometric.IsoImage;
+
+Phaser.Plugin.Isometric.IsoObject.install(Phaser.Plugin.Isometric.IsoImage.prototype);
+
+/**
+ * Internal function called by the World preUpdate cycle.
+ *
+ * @method Phaser.Plugin.Isometric.IsoImage#preUpdate
+ * @memberof Phaser.Plugin.Isometric.IsoImage
+ * @return {boolean} True if the IsoImage should be updated.
+ */
+Phaser.Plugin.Isometric.IsoImage.prototype.preUpdate = function () {
+    if (!Phaser.Image.prototype.preUpdate.call(this)) {
+        return false;
+    }
+
+    //  Images don't update physics bodies themselves
+    if (this.body) {
+        this.body.preUpdate();
+    }
+
+    return true;
+};
+
+/**
+ * Internal function called by the World postUpdate cycle.
+ *
+ * @method Phaser.Plugin.Isometric.IsoImage#postUpdate
+ * @memberof Phaser.Plugin.Isometric.IsoImage
+ */
+Phaser.Plugin.Isometric.IsoImage.prototype.postUpdate = function () {
+    Phaser.Image.prototype.postUpdate.call(this);
+
+    if (this.exists && this.body) {
+        this.body.postUpdate();
+    }
+
+    this._project();
+};
+
+/**
+ * Split this IsoImage into a number of slices along the x or y axis, each a new IsoImage showing a cropped strip of the texture. See IsoSprite#split.
+ *
+ * @method Phaser.Plugin.Isometric.IsoImage#split
+ * @memberof Phaser.Plugin.Isometric.IsoImage
+ * @param {string} axis - The axis to split along; either 'x' or 'y'.
+ * @param {number} count - The number of slices to split into.
+ * @return {Array.<Phaser.Plugin.Isometric.IsoImage>} The slices.
+ */
+Phaser.Plugin.Isometric.IsoImage.prototype.split = function (axis, count) {
+    return Phaser.Plugin.Isometric.IsoSprite.prototype.split.call(this, axis, count);
+};
+
+/**
+ * Create a new IsoImage with specific position and sprite sheet key.
+ *
+ * @method Phaser.GameObjectCreator#isoImage
+ * @param {number} x - X position of the new IsoImage.
+ * @param {number} y - Y position of the new IsoImage.
+ * @param {number} z - Z position of the new IsoImage.
+ * @param {string|Phaser.RenderTexture|PIXI.Texture} key - This is the image or texture used by the IsoImage during rendering. It can be a string which is a reference to the Cache entry, or an instance of a RenderTexture or PIXI.Texture.
+ * @param {string|number} [frame] - If the IsoImage uses an image from a texture atlas or sprite sheet you can pass the frame here. Either a number for a frame ID or a string for a frame name.
+ * @returns {Phaser.Plugin.Isometric.IsoImage} the newly created IsoImage object.
+ */
+Phaser.GameObjectCreator.prototype.isoImage = function (x, y, z, key, frame) {
+
+    return new Phaser.Plugin.Isometric.IsoImage(this.game, x, y, z, key, frame);
+
+};
+
+/**
+ * Create a new IsoImage with specific position and sprite sheet key.
+ *
+ * @method Phaser.GameObjectFactory#isoImage
+ * @param {number} x - X position of the new IsoImage.
+ * @param {number} y - Y position of the new IsoImage.
+ * @param {number} z - Z position of the new IsoImage.
+ * @param {string|Phaser.RenderTexture|PIXI.Texture} key - This is the image or texture used by the IsoImage during rendering. It can be a string which is a reference to the Cache entry, or an instance of a RenderTexture or PIXI.Texture.
+ * @param {string|number} [frame] - If the IsoImage uses an image from a texture atlas or sprite sheet you can pass the frame here. Either a number for a frame ID or a string for a frame name.
+ * @param {Phaser.Group} [group] - Optional Group to add the object to. If not specified it will be added to the World group.
+ * @returns {Phaser.Plugin.Isometric.IsoImage} the newly created IsoImage object.
+ */
+Phaser.GameObjectFactory.prototype.isoImage = function (x, y, z, key, frame, group) {
+
+    if (typeof group === 'undefined') {
+        group = this.world;
+    }
+
+    return group.add(new Phaser.Plugin.Isometric.IsoImage(this.game, x, y, z, key, frame));
+
+};
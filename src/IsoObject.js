@@ -0,0 +1,781 @@
+/**
+ * @class Phaser.Plugin.Isometric.IsoObject
+ *
+ * @classdesc
+ * The behaviour shared by all of the plugin's display objects: an axonometric position (isoX, isoY and isoZ) which is projected to the 2D position whenever it changes,
+ * position snapping, a render layer, derived 3D bounds, a depth used for sorting and the Projector used to position the object. IsoObject is a mixin rather than
+ * a class in its own right; a display object class calls IsoObject.init from its constructor, calls IsoObject#_project from its postUpdate (after any physics body
+ * has updated) and has IsoObject.install called on its prototype.
+ *
+ * @constructor
+ */
+Phaser.Plugin.Isometric.IsoObject = function () {};
+
+/**
+ * Set up the properties used by IsoObject on a newly created display object, and project it to its starting position.
+ *
+ * @method Phaser.Plugin.Isometric.IsoObject.init
+ * @param {PIXI.DisplayObject} object - The display object being created.
+ * @param {number} x - The x coordinate (in 3D space) to position the object at.
+ * @param {number} y - The y coordinate (in 3D space) to position the object at.
+ * @param {number} z - The z coordinate (in 3D space) to position the object at.
+ */
+Phaser.Plugin.Isometric.IsoObject.init = function (object, x, y, z) {
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Point3} _isoPosition - Internal 3D position.
+     * @private
+     */
+    object._isoPosition = new Phaser.Plugin.Isometric.Point3(x, y, z);
+
+    /**
+     * @property {Phaser.Plugin.Isometric.IsoContainer} isoParent - The IsoContainer this object belongs to, if any, which its position is relative to.
+     * @readonly
+     */
+    object.isoParent = null;
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Point3} _isoWorldPosition - Internal cache of the position relative to the world.
+     * @private
+     */
+    object._isoWorldPosition = new Phaser.Plugin.Isometric.Point3(x, y, z);
+
+    /**
+     * @property {number} snap - Snap the object's position to the specified value; handy for keeping pixel art snapped to whole pixels.
+     * @default
+     */
+    object.snap = 0;
+
+    /**
+     * @property {number} isoLayer - The render layer of this object. The depth sorts draw lower layers entirely behind higher ones, and only sort objects against others
+     * in the same layer. Phaser.Plugin.Isometric.LAYER_GROUND, LAYER_FLOOR, LAYER_DEFAULT and LAYER_OVERHEAD are provided, but any number can be used.
+     * @default
+     */
+    object.isoLayer = Phaser.Plugin.Isometric.LAYER_DEFAULT;
+
+    /**
+     * @property {number} _depth - Internal cached depth value.
+     * @readonly
+     * @private
+     */
+    object._depth = 0;
+
+    /**
+     * @property {boolean} _depthChanged - Internal invalidation control for depth management.
+     * @readonly
+     * @private
+     */
+    object._depthChanged = true;
+
+    /**
+     * @property {boolean} _isoPositionChanged - Internal invalidation control for positioning.
+     * @readonly
+     * @private
+     */
+    object._isoPositionChanged = true;
+
+    /**
+     * @property {boolean} _isoBoundsChanged - Internal invalidation control for isometric bounds.
+     * @readonly
+     * @private
+     */
+    object._isoBoundsChanged = true;
+
+    /**
+     * @property {number} _isoRevision - Counts the changes to the position, bounds and projection of this object, so the depth sorts can tell which objects have changed
+     * since they last looked without working out their bounds again.
+     * @readonly
+     * @private
+     */
+    object._isoRevision = 0;
+
+    /**
+     * @property {array} _isoSizeState - The size, scale and anchor of the texture and the declared bounds as of the last projection, which the bounds depend on.
+     * @private
+     */
+    object._isoSizeState = [];
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Projector} _projector - Internal Projector override.
+     * @private
+     */
+    object._projector = null;
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Cube} _customIsoBounds - Bounds relative to the position of this object, declared with IsoObject#setIsoBounds or given to slices
+     * by IsoSprite#split, which are used instead of guessing the bounds from the texture.
+     * @private
+     */
+    object._customIsoBounds = null;
+
+    /**
+     * @property {Phaser.Plugin.Isometric.IsoShadow} shadow - The shadow cast by this object, if one has been added with IsoObject#castShadow.
+     * @default
+     */
+    object.shadow = null;
+
+    /**
+     * @property {Phaser.Plugin.Isometric.IsoTween} _isoTween - The IsoTween currently moving this object, if any.
+     * @private
+     */
+    object._isoTween = null;
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Point3} isoInputPoint - The point in 3D space, relative to the world, where a pointer last hit this object. Only updated by an
+     * IsoHitArea (see IsoObject#enableIsoInput), so it can be read from within input event handlers such as onInputDown.
+     * @readonly
+     */
+    object.isoInputPoint = new Phaser.Plugin.Isometric.Point3();
+
+    /**
+     * @property {object} _isoDrag - The state of iso dragging (see IsoObject#enableIsoDrag), if enabled.
+     * @private
+     */
+    object._isoDrag = null;
+
+    /**
+     * @property {boolean} isoCulled - True while this object is outside the camera view, and so is hidden, left unprojected and skipped by the sort of the IsoGroup
+     * it is in. See IsoGroup#cull.
+     * @readonly
+     */
+    object.isoCulled = false;
+
+    /**
+     * @property {number} _isoCullStamp - The culling pass of the IsoGroup this object is in which last found it within the camera view.
+     * @private
+     */
+    object._isoCullStamp = 0;
+
+    /**
+     * @property {Phaser.Plugin.Isometric.IsoGroup} _isoCullGroup - The IsoGroup whose culling Octree holds this object, if any.
+     * @private
+     */
+    object._isoCullGroup = null;
+
+    object._project();
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Cube} _isoBounds - Internal derived 3D bounds.
+     * @private
+     */
+    object._isoBounds = object.resetIsoBounds();
+
+};
+
+/**
+ * Copy the methods and properties of IsoObject onto the prototype of a display object class.
+ *
+ * @method Phaser.Plugin.Isometric.IsoObject.install
+ * @param {object} target - The prototype to install onto.
+ */
+Phaser.Plugin.Isometric.IsoObject.install = function (target) {
+    var source = Phaser.Plugin.Isometric.IsoObject.prototype;
+    var names = Object.getOwnPropertyNames(source);
+
+    for (var i = 0; i < names.length; i++) {
+        if (names[i] !== 'constructor') {
+            Object.defineProperty(target, names[i], Object.getOwnPropertyDescriptor(source, names[i]));
+        }
+    }
+};
+
+/**
+ * Determine whether a display object is one of the plugin's iso display objects, such as an IsoSprite or IsoImage.
+ *
+ * @method Phaser.Plugin.Isometric.IsoObject.isIsoObject
+ * @param {PIXI.DisplayObject} object - The display object to check.
+ * @return {boolean} True if the display object has an axonometric position.
+ */
+Phaser.Plugin.Isometric.IsoObject.isIsoObject = function (object) {
+    var type = object.type;
+
+    return type === Phaser.Plugin.Isometric.ISOSPRITE || type === Phaser.Plugin.Isometric.ISOIMAGE || type === Phaser.Plugin.Isometric.ISOTEXT || type === Phaser.Plugin.Isometric.ISOTILESPRITE ||
+        object instanceof Phaser.Plugin.Isometric.IsoContainer;
+};
+
+/**
+ * @property {object} _frameBounds - Bounds declared for texture frames, by texture key and then frame name or index.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoObject._frameBounds = {};
+
+/**
+ * Declare the bounds of every object showing a particular texture frame, rather than having them guessed from the size of the texture. Useful for trees, tall thin
+ * props and frames with transparent padding. The bounds are relative to the position of the object, so with the default of no offset they extend along the positive
+ * axes from it. Bounds declared on an object itself with IsoObject#setIsoBounds take precedence. Scaling the object does not scale declared bounds.
+ *
+ * @method Phaser.Plugin.Isometric.IsoObject.setFrameBounds
+ * @param {string} key - The texture key.
+ * @param {string|number} frame - The frame name, or the frame index for sprite sheets.
+ * @param {number|null} widthX - The size of the bounds on the x axis, or null to go back to guessing the bounds of this frame.
+ * @param {number} widthY - The size of the bounds on the y axis.
+ * @param {number} height - The size of the bounds on the z axis.
+ * @param {number} [x=0] - The offset of the bounds from the position of the object on the x axis.
+ * @param {number} [y=0] - The offset of the bounds from the position of the object on the y axis.
+ * @param {number} [z=0] - The offset of the bounds from the position of the object on the z axis.
+ */
+Phaser.Plugin.Isometric.IsoObject.setFrameBounds = function (key, frame, widthX, widthY, height, x, y, z) {
+    var registry = Phaser.Plugin.Isometric.IsoObject._frameBounds;
+
+    if (typeof widthX === 'undefined' || widthX === null) {
+        if (registry[key]) {
+            delete registry[key][frame];
+        }
+
+        return;
+    }
+
+    if (!registry[key]) {
+        registry[key] = {};
+    }
+
+    registry[key][frame] = new Phaser.Plugin.Isometric.Cube(x || 0, y || 0, z || 0, widthX, widthY, height);
+};
+
+/**
+ * Declare the bounds of texture frames from the data of a texture atlas, in either the JSON hash or JSON array format. Frames are given bounds by adding an isoBounds
+ * field to them in the atlas, in the form ```"isoBounds": { "widthX": 32, "widthY": 32, "height": 80, "x": 0, "y": 0, "z": 0 }```, where the offsets are optional.
+ * Phaser does not keep atlas data once it has been parsed, so the same file can also be loaded with ```game.load.json``` and passed in from ```game.cache.getJSON```.
+ * See IsoObject.setFrameBounds.
+ *
+ * @method Phaser.Plugin.Isometric.IsoObject.addFrameBounds
+ * @param {string} key - The texture key of the atlas.
+ * @param {object} atlasData - The atlas data.
+ */
+Phaser.Plugin.Isometric.IsoObject.addFrameBounds = function (key, atlasData) {
+    var frames = atlasData.frames;
+    var name, frame, bounds;
+
+    for (name in frames) {
+        if (!frames.hasOwnProperty(name)) {
+            continue;
+        }
+
+        frame = frames[name];
+        bounds = frame.isoBounds;
+
+        if (bounds) {
+            //  The JSON array format gives each frame its name rather than keying by it
+            if (Array.isArray(frames)) {
+                name = frame.filename;
+            }
+
+            Phaser.Plugin.Isometric.IsoObject.setFrameBounds(key, name, bounds.widthX, bounds.widthY, bounds.height, bounds.x, bounds.y, bounds.z);
+        }
+    }
+};
+
+/**
+ * @property {Phaser.Point} _point - Internal cache var.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoObject._point = new Phaser.Point();
+
+/**
+ * Internal function that performs the axonometric projection from 3D to 2D space, if the position of the object has changed since it was last projected.
+ * @method Phaser.Plugin.Isometric.IsoObject#_project
+ * @memberof Phaser.Plugin.Isometric.IsoObject
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoObject.prototype._project = function () {
+    //  Animations, scaling and cropping change the bounds guessed from the texture without going through any setter
+    if (this._hasIsoSizeChanged()) {
+        this._invalidateIsoBounds();
+    }
+
+    //  Culled objects aren't drawn, so there's no need to work out where; they are projected again as soon as they are unculled
+    if (this._isoPositionChanged && !this.isoCulled) {
+        var projector = this.projector;
+
+        projector.project(this.isoWorldPosition, this.position);
+
+        //  Objects drawn within an IsoContainer are positioned relative to the container's own projected position
+        if (this.parent instanceof Phaser.Plugin.Isometric.IsoContainer) {
+            var origin = projector.project(this.parent.isoWorldPosition, Phaser.Plugin.Isometric.IsoObject._point);
+
+            this.position.x -= origin.x;
+            this.position.y -= origin.y;
+        }
+
+        if (this.snap > 0) {
+            this.position.x = Phaser.Math.snapTo(this.position.x, this.snap);
+            this.position.y = Phaser.Math.snapTo(this.position.y, this.snap);
+        }
+
+        this._isoPositionChanged = false;
+    }
+};
+
+/**
+ * Flag the object to be projected again, and its depth and bounds to be recalculated. Called whenever its position or Projector changes.
+ * @method Phaser.Plugin.Isometric.IsoObject#_invalidateIsoPosition
+ * @memberof Phaser.Plugin.Isometric.IsoObject
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoObject.prototype._invalidateIsoPosition = function () {
+    this._isoPositionChanged = true;
+    this._invalidateIsoBounds();
+};
+
+/**
+ * Flag the depth and bounds of the object to be recalculated, and let the depth sorts know it has changed. The bounds of the IsoContainer it is in, if any, enclose
+ * its own, so are flagged too.
+ * @method Phaser.Plugin.Isometric.IsoObject#_invalidateIsoBounds
+ * @memberof Phaser.Plugin.Isometric.IsoObject
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoObject.prototype._invalidateIsoBounds = function () {
+    this._depthChanged = this._isoBoundsChanged = true;
+    this._isoRevision++;
+
+    if (this.isoParent) {
+        this.isoParent._invalidateIsoBounds();
+    }
+};
+
+/**
+ * Determine whether the size, scale or anchor of the texture, or the declared bounds, have changed since this was last called. Only the declared bounds are compared
+ * if there are any, as the texture isn't used for the bounds then.
+ * @method Phaser.Plugin.Isometric.IsoObject#_hasIsoSizeChanged
+ * @memberof Phaser.Plugin.Isometric.IsoObject
+ * @return {boolean} True if the bounds need recalculating.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoObject.prototype._hasIsoSizeChanged = function () {
+    var state = this._isoSizeState;
+    var declared = this._getDeclaredIsoBounds();
+
+    if (declared) {
+        if (state[0] === declared) {
+            return false;
+        }
+
+        state.length = 1;
+        state[0] = declared;
+
+        return true;
+    }
+
+    if (state.length === 7 && state[1] === this.width && state[2] === this.height && state[3] === this.scale.x && state[4] === this.scale.y &&
+        state[5] === this.anchor.x && state[6] === this.anchor.y) {
+        return false;
+    }
+
+    state[0] = null;
+    state[1] = this.width;
+    state[2] = this.height;
+    state[3] = this.scale.x;
+    state[4] = this.scale.y;
+    state[5] = this.anchor.x;
+    state[6] = this.anchor.y;
+
+    return true;
+};
+
+/**
+ * Recalculate the 3D bounds of the object from its position and either its declared bounds (see IsoObject#setIsoBounds) or the size of its texture.
+ * @method Phaser.Plugin.Isometric.IsoObject#resetIsoBounds
+ * @memberof Phaser.Plugin.Isometric.IsoObject
+ * @return {Phaser.Plugin.Isometric.Cube} The bounds.
+ */
+Phaser.Plugin.Isometric.IsoObject.prototype.resetIsoBounds = function () {
+    if (typeof this._isoBounds === "undefined") {
+        this._isoBounds = new Phaser.Plugin.Isometric.Cube();
+    }
+
+    var position = this.isoWorldPosition;
+    var declared = this._getDeclaredIsoBounds();
+
+    if (declared) {
+        return this._isoBounds.setTo(position.x + declared.x, position.y + declared.y, position.z + declared.z, declared.widthX, declared.widthY, declared.height);
+    }
+
+    var asx = Math.abs(this.scale.x);
+    var asy = Math.abs(this.scale.y);
+
+    this._isoBounds.widthX = Math.round(Math.abs(this.width) * 0.5) * asx;
+    this._isoBounds.widthY = Math.round(Math.abs(this.width) * 0.5) * asx;
+    this._isoBounds.height = Math.round(Math.abs(this.height) - (Math.abs(this.width) * 0.5)) * asy;
+
+    this._isoBounds.x = position.x + (this._isoBounds.widthX * -this.anchor.x) + this._isoBounds.widthX * 0.5;
+    this._isoBounds.y = position.y + (this._isoBounds.widthY * this.anchor.x) - this._isoBounds.widthY * 0.5;
+    this._isoBounds.z = position.z - (Math.abs(this.height) * (1 - this.anchor.y)) + (Math.abs(this.width * 0.5));
+
+    return this._isoBounds;
+};
+
+/**
+ * Declare the bounds of this object rather than having them guessed from the size of its texture. Useful for trees, tall thin props and textures with transparent
+ * padding. The bounds are relative to the position of the object, so with the default of no offset they extend along the positive axes from it, and they are kept
+ * through changes of frame or animation. Scaling the object does not scale declared bounds. Call with no arguments to go back to the bounds declared for the
+ * current frame with IsoObject.setFrameBounds, if any, or guessed from the texture.
+ *
+ * @method Phaser.Plugin.Isometric.IsoObject#setIsoBounds
+ * @memberof Phaser.Plugin.Isometric.IsoObject
+ * @param {number} [widthX] - The size of the bounds on the x axis.
+ * @param {number} [widthY] - The size of the bounds on the y axis.
+ * @param {number} [height] - The size of the bounds on the z axis.
+ * @param {number} [x=0] - The offset of the bounds from the position of the object on the x axis.
+ * @param {number} [y=0] - The offset of the bounds from the position of the object on the y axis.
+ * @param {number} [z=0] - The offset of the bounds from the position of the object on the z axis.
+ * @return {PIXI.DisplayObject} This object.
+ */
+Phaser.Plugin.Isometric.IsoObject.prototype.setIsoBounds = function (widthX, widthY, height, x, y, z) {
+    if (typeof widthX === 'undefined' || widthX === null) {
+        this._customIsoBounds = null;
+    }
+    else {
+        this._customIsoBounds = new Phaser.Plugin.Isometric.Cube(x || 0, y || 0, z || 0, widthX, widthY, height);
+    }
+
+    this._invalidateIsoBounds();
+
+    return this;
+};
+
+/**
+ * Cast a shadow straight down from this object onto the highest surface below it. See IsoShadow.
+ *
+ * @method Phaser.Plugin.Isometric.IsoObject#castShadow
+ * @memberof Phaser.Plugin.Isometric.IsoObject
+ * @param {string|Phaser.RenderTexture|Phaser.BitmapData|PIXI.Texture} [key] - The texture of the shadow. If not given a blob is drawn.
+ * @param {string|number} [frame] - If the texture is part of a sprite sheet or texture atlas you can specify the exact frame to use by giving a string or numeric index.
+ * @return {Phaser.Plugin.Isometric.IsoShadow} The shadow, which is also kept in the shadow property of this object.
+ */
+Phaser.Plugin.Isometric.IsoObject.prototype.castShadow = function (key, frame) {
+    if (this.shadow) {
+        this.shadow.destroy();
+    }
+
+    this.shadow = this.game.add.isoShadow(this, key, frame);
+
+    return this.shadow;
+};
+
+/**
+ * Move this object through 3D space to a Point3, or along a list of Point3s, optionally in an arc. See IsoTween.
+ *
+ * @method Phaser.Plugin.Isometric.IsoObject#moveTo
+ * @memberof Phaser.Plugin.Isometric.IsoObject
+ * @param {Phaser.Plugin.Isometric.Point3|Array.<Phaser.Plugin.Isometric.Point3>} path - The position to move to, or a list of positions to move through in turn.
+ * @param {number} [duration=1000] - The duration of the move in ms.
+ * @param {object} [options] - Any of arcHeight, easing and delay. See IsoTween.
+ * @return {Phaser.Plugin.Isometric.IsoTween} The started IsoTween.
+ */
+Phaser.Plugin.Isometric.IsoObject.prototype.moveTo = function (path, duration, options) {
+    return new Phaser.Plugin.Isometric.IsoTween(this.game, this, path, duration, options).start();
+};
+
+/**
+ * Enable input on this object, hit testing pointers against the shape it takes up in 3D space rather than its 2D rectangle. See IsoHitArea.
+ *
+ * @method Phaser.Plugin.Isometric.IsoObject#enableIsoInput
+ * @memberof Phaser.Plugin.Isometric.IsoObject
+ * @param {number} [mode] - Phaser.Plugin.Isometric.HIT_BOUNDS (the default) to test against the projected outline of the isoBounds, HIT_TOP to test against the diamond of
+ * the top face, or HIT_RECTANGLE to go back to Phaser's own hit testing.
+ * @return {Phaser.InputHandler} The input handler of this object.
+ */
+Phaser.Plugin.Isometric.IsoObject.prototype.enableIsoInput = function (mode) {
+    this.inputEnabled = true;
+
+    if (mode === Phaser.Plugin.Isometric.HIT_RECTANGLE) {
+        this.hitArea = null;
+    }
+    else {
+        this.hitArea = new Phaser.Plugin.Isometric.IsoHitArea(this, mode);
+    }
+
+    return this.input;
+};
+
+/**
+ * Allow this object to be dragged through 3D space by the pointer, constrained to a plane: Phaser.Plugin.Isometric.DRAG_XY moves it across the ground at a fixed z,
+ * and DRAG_Z moves it straight up and down. Phaser's own drag events (onDragStart, onDragUpdate and onDragStop) are still dispatched.
+ *
+ * @method Phaser.Plugin.Isometric.IsoObject#enableIsoDrag
+ * @memberof Phaser.Plugin.Isometric.IsoObject
+ * @param {number} [plane] - The plane to drag in; either Phaser.Plugin.Isometric.DRAG_XY (the default) or DRAG_Z.
+ * @return {Phaser.InputHandler} The input handler of this object.
+ */
+Phaser.Plugin.Isometric.IsoObject.prototype.enableIsoDrag = function (plane) {
+    this.inputEnabled = true;
+    this.input.enableDrag();
+
+    if (!this._isoDrag) {
+        this._isoDrag = {
+            plane: 0,
+            offset: new Phaser.Plugin.Isometric.Point3(),
+            a: new Phaser.Plugin.Isometric.Point3(),
+            b: new Phaser.Plugin.Isometric.Point3()
+        };
+
+        this.events.onDragStart.add(this._isoDragStart, this);
+        this.events.onDragUpdate.add(this._isoDragUpdate, this);
+    }
+
+    this._isoDrag.plane = (typeof plane === 'undefined') ? Phaser.Plugin.Isometric.DRAG_XY : plane;
+
+    return this.input;
+};
+
+/**
+ * Stop this object being dragged through 3D space by the pointer.
+ *
+ * @method Phaser.Plugin.Isometric.IsoObject#disableIsoDrag
+ * @memberof Phaser.Plugin.Isometric.IsoObject
+ */
+Phaser.Plugin.Isometric.IsoObject.prototype.disableIsoDrag = function () {
+    if (this.input) {
+        this.input.disableDrag();
+    }
+
+    if (this._isoDrag) {
+        this.events.onDragStart.remove(this._isoDragStart, this);
+        this.events.onDragUpdate.remove(this._isoDragUpdate, this);
+        this._isoDrag = null;
+    }
+};
+
+/**
+ * Remember where the object was grabbed relative to the pointer in 3D space.
+ *
+ * @method Phaser.Plugin.Isometric.IsoObject#_isoDragStart
+ * @memberof Phaser.Plugin.Isometric.IsoObject
+ * @param {PIXI.DisplayObject} object - The object being dragged.
+ * @param {Phaser.Pointer} pointer - The pointer dragging it.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoObject.prototype._isoDragStart = function (object, pointer) {
+    var drag = this._isoDrag;
+    var position = this.isoWorldPosition;
+
+    if (drag.plane === Phaser.Plugin.Isometric.DRAG_Z) {
+        drag.offset.setTo(0, 0, position.z - this._getIsoDragZ(pointer));
+    }
+    else {
+        Phaser.Plugin.Isometric.Point3.subtract(position, this.projector.unproject(pointer.position, drag.a, position.z), drag.offset);
+    }
+};
+
+/**
+ * Move the object to follow the pointer within its drag plane.
+ *
+ * @method Phaser.Plugin.Isometric.IsoObject#_isoDragUpdate
+ * @memberof Phaser.Plugin.Isometric.IsoObject
+ * @param {PIXI.DisplayObject} object - The object being dragged.
+ * @param {Phaser.Pointer} pointer - The pointer dragging it.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoObject.prototype._isoDragUpdate = function (object, pointer) {
+    var drag = this._isoDrag;
+    var position = this.isoWorldPosition;
+    var origin = this.isoParent ? this.isoParent.isoWorldPosition : null;
+
+    if (drag.plane === Phaser.Plugin.Isometric.DRAG_Z) {
+        this.isoZ = this._getIsoDragZ(pointer) + drag.offset.z - (origin ? origin.z : 0);
+    }
+    else {
+        var point = this.projector.unproject(pointer.position, drag.a, position.z);
+
+        this.isoX = point.x + drag.offset.x - (origin ? origin.x : 0);
+        this.isoY = point.y + drag.offset.y - (origin ? origin.y : 0);
+    }
+};
+
+/**
+ * Find the height at which the vertical line through the object passes closest to being under the pointer.
+ *
+ * @method Phaser.Plugin.Isometric.IsoObject#_getIsoDragZ
+ * @memberof Phaser.Plugin.Isometric.IsoObject
+ * @param {Phaser.Pointer} pointer - The pointer dragging the object.
+ * @return {number} The height.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoObject.prototype._getIsoDragZ = function (pointer) {
+    var drag = this._isoDrag;
+    var position = this.isoWorldPosition;
+    var a = this.projector.unproject(pointer.position, drag.a, position.z);
+    var b = this.projector.unproject(pointer.position, drag.b, position.z + 1);
+
+    //  Rising by one moves the point under the pointer across the ground by (dx, dy), so find how far to rise to bring it closest to the object
+    var dx = b.x - a.x;
+    var dy = b.y - a.y;
+    var length = (dx * dx) + (dy * dy);
+
+    if (length === 0) {
+        return position.z;
+    }
+
+    return position.z + ((((position.x - a.x) * dx) + ((position.y - a.y) * dy)) / length);
+};
+
+/**
+ * Get the bounds declared for this object, either on the object itself or for its current texture frame, relative to its position.
+ *
+ * @method Phaser.Plugin.Isometric.IsoObject#_getDeclaredIsoBounds
+ * @memberof Phaser.Plugin.Isometric.IsoObject
+ * @return {Phaser.Plugin.Isometric.Cube|null} The declared bounds, or null if the bounds are guessed from the texture.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoObject.prototype._getDeclaredIsoBounds = function () {
+    if (this._customIsoBounds) {
+        return this._customIsoBounds;
+    }
+
+    var frames = (typeof this.key === 'string') ? Phaser.Plugin.Isometric.IsoObject._frameBounds[this.key] : null;
+
+    if (!frames) {
+        return null;
+    }
+
+    //  Atlas frames are named, sprite sheet frames are only numbered
+    if (this.frameName && frames.hasOwnProperty(this.frameName)) {
+        return frames[this.frameName];
+    }
+
+    return frames.hasOwnProperty(this.frame) ? frames[this.frame] : null;
+};
+
+/**
+ * The axonometric position of the object on the x axis. Increasing the x coordinate will move the object down and to the right on the screen.
+ *
+ * @name Phaser.Plugin.Isometric.IsoObject#isoX
+ * @property {number} isoX - The axonometric position of the object on the x axis.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.IsoObject.prototype, "isoX", {
+    get: function () {
+        return this._isoPosition.x;
+    },
+    set: function (value) {
+        if (value !== this._isoPosition.x) {
+            this._isoPosition.x = value;
+            this._invalidateIsoPosition();
+        }
+        if (this.body){
+            this.body._reset = true;
+        }
+    }
+});
+
+/**
+ * The axonometric position of the object on the y axis. Increasing the y coordinate will move the object down and to the left on the screen.
+ *
+ * @name Phaser.Plugin.Isometric.IsoObject#isoY
+ * @property {number} isoY - The axonometric position of the object on the y axis.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.IsoObject.prototype, "isoY", {
+    get: function () {
+        return this._isoPosition.y;
+    },
+    set: function (value) {
+        if (value !== this._isoPosition.y) {
+            this._isoPosition.y = value;
+            this._invalidateIsoPosition();
+        }
+        if (this.body){
+            this.body._reset = true;
+        }
+    }
+});
+
+/**
+ * The axonometric position of the object on the z axis. Increasing the z coordinate will move the object directly upwards on the screen.
+ *
+ * @name Phaser.Plugin.Isometric.IsoObject#isoZ
+ * @property {number} isoZ - The axonometric position of the object on the z axis.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.IsoObject.prototype, "isoZ", {
+    get: function () {
+        return this._isoPosition.z;
+    },
+    set: function (value) {
+        if (value !== this._isoPosition.z) {
+            this._isoPosition.z = value;
+            this._invalidateIsoPosition();
+        }
+        if (this.body){
+            this.body._reset = true;
+        }
+    }
+});
+
+/**
+ * A Point3 object representing the axonometric position of the object. The object is only projected again when its position is set through isoX, isoY and isoZ, so
+ * set those rather than changing the values of this Point3 directly.
+ *
+ * @name Phaser.Plugin.Isometric.IsoObject#isoPosition
+ * @property {Point3} isoPosition - The axonometric position of the object.
+ * @readonly
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.IsoObject.prototype, "isoPosition", {
+    get: function () {
+        return this._isoPosition;
+    }
+});
+
+/**
+ * The axonometric position of the object relative to the world rather than to its IsoContainer. The same as isoPosition for objects not in an IsoContainer.
+ *
+ * @name Phaser.Plugin.Isometric.IsoObject#isoWorldPosition
+ * @property {Point3} isoWorldPosition - The axonometric position of the object relative to the world.
+ * @readonly
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.IsoObject.prototype, "isoWorldPosition", {
+    get: function () {
+        if (!this.isoParent) {
+            return this._isoPosition;
+        }
+
+        return Phaser.Plugin.Isometric.Point3.add(this.isoParent.isoWorldPosition, this._isoPosition, this._isoWorldPosition);
+    }
+});
+
+/**
+ * A Cube object representing the derived boundsof the object.
+ *
+ * @name Phaser.Plugin.Isometric.IsoObject#isoBounds
+ * @property {Point3} isoBounds - The derived 3D bounds of the object.
+ * @readonly
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.IsoObject.prototype, "isoBounds", {
+    get: function () {
+        if (this._isoBoundsChanged || !this._isoBounds) {
+            this.resetIsoBounds();
+            this._isoBoundsChanged = false;
+        }
+        return this._isoBounds;
+    }
+});
+
+/**
+ * The non-unit distance of the object from the 'front' of the scene. Used to correctly depth sort a group of objects.
+ *
+ * @name Phaser.Plugin.Isometric.IsoObject#depth
+ * @property {number} depth - A calculated value used for depth sorting.
+ * @readonly
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.IsoObject.prototype, "depth", {
+    get: function () {
+        if (this._depthChanged === true) {
+            this._depth = this.projector.depth(this.isoWorldPosition);
+            this._depthChanged = false;
+        }
+        return this._depth;
+    }
+});
+
+/**
+ * The Projector used to position this object. Unless one is set explicitly, this is the Projector attached to the nearest Group up the display list, or game.iso if there is none.
+ *
+ * @name Phaser.Plugin.Isometric.IsoObject#projector
+ * @property {Phaser.Plugin.Isometric.Projector} projector - The Projector used to position this object.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.IsoObject.prototype, "projector", {
+    get: function () {
+        return this._projector || Phaser.Plugin.Isometric.Projector.getProjector(this, this.game);
+    },
+    set: function (value) {
+        this._projector = value;
+        this._invalidateIsoPosition();
+    }
+});
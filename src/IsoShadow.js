@@ -0,0 +1,362 @@
+/**
+* @class Phaser.Plugin.Isometric.IsoShadow
+*
+* @classdesc
+* Create a new `IsoShadow` object. IsoShadows are cast straight down (along -z) from another iso display object, the caster, onto the highest surface below it, so
+* that the height of jumping and flying objects can be seen. The shadow shrinks and fades as the caster gets further from the surface.
+*
+* The surface is the highest of IsoShadow#groundZ, the height given by IsoShadow#heightmap and the top of anything in IsoShadow#surfaces beneath the centre of the
+* caster. On the ground the shadow is drawn in IsoShadow#floorLayer, and on top of anything else it is drawn in the same layer as that, so it sorts in front of it.
+*
+* Without a texture a soft round blob is drawn. IsoShadows are usually created with IsoObject#castShadow, which adds them to the same group as the caster.
+*
+* @constructor
+* @extends Phaser.Plugin.Isometric.IsoImage
+* @param {Phaser.Game} game - A reference to the currently running game.
+* @param {PIXI.DisplayObject} caster - The iso display object casting the shadow.
+* @param {string|Phaser.RenderTexture|Phaser.BitmapData|PIXI.Texture} [key] - The texture of the shadow, drawn as if on the ground and stretched to the footprint of the caster. If not given a blob is drawn.
+* @param {string|number} [frame] - If the texture is part of a sprite sheet or texture atlas you can specify the exact frame to use by giving a string or numeric index.
+*/
+Phaser.Plugin.Isometric.IsoShadow = function (game, caster, key, frame) {
+
+    if (typeof key === 'undefined' || key === null) {
+        key = Phaser.Plugin.Isometric.IsoShadow.getBlobTexture(game);
+    }
+
+    Phaser.Plugin.Isometric.IsoImage.call(this, game, caster.isoX, caster.isoY, caster.isoZ, key, frame);
+
+    this.anchor.set(0.5);
+
+    /**
+     * @property {PIXI.DisplayObject} caster - The iso display object casting this shadow.
+     * @readonly
+     */
+    this.caster = caster;
+
+    /**
+     * @property {number} groundZ - The height of the ground, used when there is nothing higher below the caster.
+     * @default
+     */
+    this.groundZ = 0;
+
+    /**
+     * @property {function|object} heightmap - A function taking an x and y coordinate and returning the height of the ground there, or an object with a getHeightAt(x, y)
+     * method doing the same.
+     * @default
+     */
+    this.heightmap = null;
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Octree|Phaser.Group|array} surfaces - What the shadow can fall onto; either an Octree populated with bodies, or a Group or
+     * array of iso display objects, whose bodies are used if they have them and otherwise their isoBounds.
+     * @default
+     */
+    this.surfaces = null;
+
+    /**
+     * @property {number} floorLayer - The render layer the shadow is drawn in when it falls on the ground.
+     * @default
+     */
+    this.floorLayer = Phaser.Plugin.Isometric.LAYER_FLOOR;
+
+    /**
+     * @property {number} maxDistance - The distance above the surface at which the shadow has shrunk and faded as far as it will.
+     * @default
+     */
+    this.maxDistance = 256;
+
+    /**
+     * @property {number} minScale - The size of the shadow, relative to the footprint of the caster, once the caster is maxDistance above the surface.
+     * @default
+     */
+    this.minScale = 0.5;
+
+    /**
+     * @property {number} maxAlpha - The alpha of the shadow when the caster is on the surface.
+     * @default
+     */
+    this.maxAlpha = 0.5;
+
+    /**
+     * @property {number} minAlpha - The alpha of the shadow once the caster is maxDistance above the surface.
+     * @default
+     */
+    this.minAlpha = 0.1;
+
+    /**
+     * @property {number} distance - The distance of the caster above the surface, as of the last update.
+     * @readonly
+     */
+    this.distance = 0;
+
+    /**
+     * @property {PIXI.DisplayObject} surface - The display object the shadow fell onto on the last update, or null if it fell on the ground.
+     * @readonly
+     */
+    this.surface = null;
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Cube} _footprint - Internal cache var.
+     * @private
+     */
+    this._footprint = new Phaser.Plugin.Isometric.Cube();
+
+    /**
+     * @property {object} _range - Internal cache var.
+     * @private
+     */
+    this._range = { x: 0, y: 0, z: -Infinity, frontX: 0, frontY: 0, top: 0 };
+
+    /**
+     * @property {array} _candidates - Internal cache var.
+     * @private
+     */
+    this._candidates = [];
+
+    /**
+     * @property {Phaser.Rectangle} _rect - Internal cache var.
+     * @private
+     */
+    this._rect = new Phaser.Rectangle();
+
+    this.isoLayer = this.floorLayer;
+    this.setIsoBounds(0, 0, 0);
+
+    caster.events.onDestroy.add(this._casterDestroyed, this);
+};
+
+Phaser.Plugin.Isometric.IsoShadow.prototype = Object.create(Phaser.Plugin.Isometric.IsoImage.prototype);
+Phaser.Plugin.Isometric.IsoShadow.prototype.constructor = Phaser.Plugin.Isometric.IsoShadow;
+
+/**
+ * The distance within which a surface slightly above the bottom of the caster still counts as being below it, to allow for bodies resting slightly inside what they
+ * stand on.
+ *
+ * @constant
+ * @type {number}
+ */
+Phaser.Plugin.Isometric.IsoShadow.TOLERANCE = 1;
+
+/**
+ * Get the texture used for blob shadows, drawing it the first time it is needed.
+ *
+ * @method Phaser.Plugin.Isometric.IsoShadow.getBlobTexture
+ * @param {Phaser.Game} game - A reference to the currently running game.
+ * @return {Phaser.BitmapData} The blob texture.
+ */
+Phaser.Plugin.Isometric.IsoShadow.getBlobTexture = function (game) {
+    var key = '__isoShadow';
+
+    if (game.cache.checkBitmapDataKey(key)) {
+        return game.cache.getBitmapData(key);
+    }
+
+    var size = 64;
+    var bmd = game.make.bitmapData(size, size);
+    var gradient = bmd.context.createRadialGradient(size * 0.5, size * 0.5, 0, size * 0.5, size * 0.5, size * 0.5);
+
+    gradient.addColorStop(0, 'rgba(0,0,0,1)');
+    gradient.addColorStop(0.6, 'rgba(0,0,0,0.8)');
+    gradient.addColorStop(1, 'rgba(0,0,0,0)');
+
+    bmd.context.fillStyle = gradient;
+    bmd.context.fillRect(0, 0, size, size);
+    bmd.dirty = true;
+
+    game.cache.addBitmapData(key, bmd);
+
+    return bmd;
+};
+
+/**
+ * Internal function called by the World postUpdate cycle.
+ *
+ * @method Phaser.Plugin.Isometric.IsoShadow#postUpdate
+ * @memberof Phaser.Plugin.Isometric.IsoShadow
+ */
+Phaser.Plugin.Isometric.IsoShadow.prototype.postUpdate = function () {
+    if (this.exists) {
+        this.updateShadow();
+    }
+
+    Phaser.Plugin.Isometric.IsoImage.prototype.postUpdate.call(this);
+};
+
+/**
+ * Move, size and fade the shadow to match the current position of the caster. Called automatically every frame.
+ *
+ * @method Phaser.Plugin.Isometric.IsoShadow#updateShadow
+ * @memberof Phaser.Plugin.Isometric.IsoShadow
+ */
+Phaser.Plugin.Isometric.IsoShadow.prototype.updateShadow = function () {
+    var caster = this.caster;
+
+    this.visible = caster.exists && caster.visible;
+
+    if (!this.visible) {
+        return;
+    }
+
+    //  The body is used if there is one, as it is already where the caster will be drawn this frame
+    var bounds = caster.body || caster.isoBounds;
+    var x = bounds.x + (bounds.widthX * 0.5);
+    var y = bounds.y + (bounds.widthY * 0.5);
+    var z = this._findSurface(x, y, bounds.z);
+    var ratio = (this.maxDistance > 0) ? Phaser.Math.clamp((bounds.z - z) / this.maxDistance, 0, 1) : 0;
+    var size = 1 - ((1 - this.minScale) * ratio);
+    var origin = this.isoParent ? this.isoParent.isoWorldPosition : null;
+    var position = this._isoPosition;
+    var custom = this._customIsoBounds;
+    var px = origin ? x - origin.x : x;
+    var py = origin ? y - origin.y : y;
+    var pz = origin ? z - origin.z : z;
+    var widthX = bounds.widthX * size;
+    var widthY = bounds.widthY * size;
+
+    this.distance = Math.max(0, bounds.z - z);
+    this.alpha = this.maxAlpha + ((this.minAlpha - this.maxAlpha) * ratio);
+    this.isoLayer = this.surface ? this.surface.isoLayer : this.floorLayer;
+
+    //  Only flagged when it has actually moved or changed size, so a still shadow doesn't have the group it is in sorted every frame
+    if (position.x !== px || position.y !== py || position.z !== pz || custom.widthX !== widthX || custom.widthY !== widthY) {
+        position.setTo(px, py, pz);
+        custom.setTo(widthX * -0.5, widthY * -0.5, 0, widthX, widthY, 0);
+        this._invalidateIsoPosition();
+    }
+
+    //  Stretch the texture over the projected footprint of the caster
+    this._footprint.setTo(bounds.x, bounds.y, z, bounds.widthX, bounds.widthY, 0);
+    this.projector.projectCube(this._footprint, this._rect);
+    this.scale.set((this._rect.width * size) / this.texture.frame.width, (this._rect.height * size) / this.texture.frame.height);
+};
+
+/**
+ * Find the height of the highest surface below a point, remembering what it belongs to in IsoShadow#surface.
+ *
+ * @method Phaser.Plugin.Isometric.IsoShadow#_findSurface
+ * @memberof Phaser.Plugin.Isometric.IsoShadow
+ * @param {number} x - The x coordinate of the point.
+ * @param {number} y - The y coordinate of the point.
+ * @param {number} z - The z coordinate of the point.
+ * @return {number} The height of the surface.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoShadow.prototype._findSurface = function (x, y, z) {
+    var best = this.groundZ;
+    var limit = z + Phaser.Plugin.Isometric.IsoShadow.TOLERANCE;
+    var candidates, height, i, owner, bounds;
+
+    this.surface = null;
+
+    if (this.heightmap) {
+        height = (typeof this.heightmap === 'function') ? this.heightmap(x, y) : this.heightmap.getHeightAt(x, y);
+
+        if (height <= limit && height > best) {
+            best = height;
+        }
+    }
+
+    if (!this.surfaces) {
+        return best;
+    }
+
+    if (this.surfaces instanceof Phaser.Plugin.Isometric.Octree) {
+        this._candidates.length = 0;
+        this._range.x = this._range.frontX = x;
+        this._range.y = this._range.frontY = y;
+        this._range.top = limit;
+        candidates = this.surfaces.query(this._range, this._candidates);
+    }
+    else {
+        candidates = this.surfaces.children || this.surfaces;
+    }
+
+    for (i = 0; i < candidates.length; i++) {
+        //  Octrees hold bodies rather than the objects they belong to
+        owner = (candidates[i] instanceof Phaser.Plugin.Isometric.Body) ? candidates[i].sprite : candidates[i];
+
+        if (owner === this.caster || owner instanceof Phaser.Plugin.Isometric.IsoShadow || !owner.exists) {
+            continue;
+        }
+
+        bounds = owner.body || owner.isoBounds;
+
+        if (!bounds || x < bounds.x || x > bounds.frontX || y < bounds.y || y > bounds.frontY) {
+            continue;
+        }
+
+        if (bounds.top <= limit && bounds.top > best) {
+            best = bounds.top;
+            this.surface = owner;
+        }
+    }
+
+    return best;
+};
+
+/**
+ * Called when the caster is destroyed, to destroy the shadow along with it.
+ *
+ * @method Phaser.Plugin.Isometric.IsoShadow#_casterDestroyed
+ * @memberof Phaser.Plugin.Isometric.IsoShadow
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoShadow.prototype._casterDestroyed = function () {
+    this.destroy();
+};
+
+/**
+ * Destroy the shadow, removing it from the caster.
+ *
+ * @method Phaser.Plugin.Isometric.IsoShadow#destroy
+ * @memberof Phaser.Plugin.Isometric.IsoShadow
+ * @param {boolean} [destroyChildren=true] - Should every child of this object have its destroy method called?
+ */
+Phaser.Plugin.Isometric.IsoShadow.prototype.destroy = function (destroyChildren) {
+    if (this.caster) {
+        this.caster.events.onDestroy.remove(this._casterDestroyed, this);
+
+        if (this.caster.shadow === this) {
+            this.caster.shadow = null;
+        }
+
+        this.caster = null;
+    }
+
+    Phaser.Plugin.Isometric.IsoImage.prototype.destroy.call(this, destroyChildren);
+};
+
+/**
+ * Create a new IsoShadow cast by an iso display object.
+ *
+ * @method Phaser.GameObjectCreator#isoShadow
+ * @param {PIXI.DisplayObject} caster - The iso display object casting the shadow.
+ * @param {string|Phaser.RenderTexture|Phaser.BitmapData|PIXI.Texture} [key] - The texture of the shadow. If not given a blob is drawn.
+ * @param {string|number} [frame] - If the texture is part of a sprite sheet or texture atlas you can specify the exact frame to use by giving a string or numeric index.
+ * @returns {Phaser.Plugin.Isometric.IsoShadow} the newly created IsoShadow object.
+ */
+Phaser.GameObjectCreator.prototype.isoShadow = function (caster, key, frame) {
+
+    return new Phaser.Plugin.Isometric.IsoShadow(this.game, caster, key, frame);
+
+};
+
+/**
+ * Create a new IsoShadow cast by an iso display object.
+ *
+ * @method Phaser.GameObjectFactory#isoShadow
+ * @param {PIXI.DisplayObject} caster - The iso display object casting the shadow.
+ * @param {string|Phaser.RenderTexture|Phaser.BitmapData|PIXI.Texture} [key] - The texture of the shadow. If not given a blob is drawn.
+ * @param {string|number} [frame] - If the texture is part of a sprite sheet or texture atlas you can specify the exact frame to use by giving a string or numeric index.
+ * @param {Phaser.Group} [group] - Optional Group to add the object to. If not specified it will be added to the same Group as the caster, or the World group if the caster is in none.
+ * @returns {Phaser.Plugin.Isometric.IsoShadow} the newly created IsoShadow object.
+ */
+Phaser.GameObjectFactory.prototype.isoShadow = function (caster, key, frame, group) {
+
+    if (typeof group === 'undefined') {
+        group = caster.parent || this.world;
+    }
+
+    return group.add(new Phaser.Plugin.Isometric.IsoShadow(this.game, caster, key, frame));
+
+};
@@ -27,57 +27,19 @@ Phaser.Plugin.Isometric.IsoSprite = function (game, x, y, z, key, frame) {
     this.type = Phaser.Plugin.Isometric.ISOSPRITE;
 
     /**
-     * @property {Phaser.Plugin.Isometric.Point3} _isoPosition - Internal 3D position.
+     * @property {object} _directional - The settings given to IsoSprite#setDirectionalAnimations, if any.
      * @private
      */
-    this._isoPosition = new Phaser.Plugin.Isometric.Point3(x, y, z);
+    this._directional = null;
 
-    /**
-     * @property {number} snap - Snap this IsoSprite's position to the specified value; handy for keeping pixel art snapped to whole pixels.
-     * @default
-     */
-    this.snap = 0;
-
-    /**
-     * @property {number} _depth - Internal cached depth value.
-     * @readonly
-     * @private
-     */
-    this._depth = 0;
-
-    /**
-     * @property {boolean} _depthChanged - Internal invalidation control for depth management.
-     * @readonly
-     * @private
-     */
-    this._depthChanged = true;
-
-    /**
-     * @property {boolean} _isoPositionChanged - Internal invalidation control for positioning.
-     * @readonly
-     * @private
-     */
-    this._isoPositionChanged = true;
-
-    /**
-     * @property {boolean} _isoBoundsChanged - Internal invalidation control for isometric bounds.
-     * @readonly
-     * @private
-     */
-    this._isoBoundsChanged = true;
-
-    this._project();
-
-    /**
-     * @property {Phaser.Plugin.Isometric.Cube} _isoBounds - Internal derived 3D bounds.
-     * @private
-     */
-    this._isoBounds = this.resetIsoBounds();
+    Phaser.Plugin.Isometric.IsoObject.init(this, x, y, z);
 };
 
 Phaser.Plugin.Isometric.IsoSprite.prototype = Object.create(Phaser.Sprite.prototype);
 Phaser.Plugin.Isometric.IsoSprite.prototype.constructor = Phaser.Plugin.Isometric.IsoSprite;
 
+Phaser.Plugin.Isometric.IsoObject.install(Phaser.Plugin.Isometric.IsoSprite.prototype);
+
 /**
  * Internal function called by the World postUpdate cycle.
  *
@@ -87,150 +49,200 @@ Phaser.Plugin.Isometric.IsoSprite.prototype.constructor = Phaser.Plugin.Isometri
 Phaser.Plugin.Isometric.IsoSprite.prototype.postUpdate = function () {
     Phaser.Sprite.prototype.postUpdate.call(this);
 
+    if (this._directional) {
+        this._updateDirectional();
+    }
+
     this._project();
 };
 
 /**
- * Internal function that performs the axonometric projection from 3D to 2D space.
- * @method Phaser.Plugin.Isometric.IsoSprite#_project
+ * Play animations named after the compass direction of the body automatically as it turns, such as 'walk_N', 'walk_NE' and so on while it is moving and 'idle_N',
+ * 'idle_NE' and so on while it is not. The animations must already have been added, named with the prefix, an underscore and each of the compass points the body
+ * can face (see Body#compass and Body#compassPoints). Requires an isoArcade physics body.
+ *
+ * @method Phaser.Plugin.Isometric.IsoSprite#setDirectionalAnimations
  * @memberof Phaser.Plugin.Isometric.IsoSprite
- * @private
+ * @param {string|null} walk - The prefix of the animations played while moving, or null to stop playing directional animations.
+ * @param {string} [idle] - The prefix of the animations played while not moving. If not given the animation is stopped on its current frame instead.
+ * @param {number} [minSpeed=1] - The horizontal speed below which the body counts as not moving.
+ * @return {Phaser.Plugin.Isometric.IsoSprite} This IsoSprite.
  */
-Phaser.Plugin.Isometric.IsoSprite.prototype._project = function () {
-    if (this._isoPositionChanged) {
-        this.game.iso.project(this._isoPosition, this.position);
-
-        if (this.snap > 0) {
-            this.position.x = Phaser.Math.snapTo(this.position.x, this.snap);
-            this.position.y = Phaser.Math.snapTo(this.position.y, this.snap);
-        }
-
-        this._depthChanged = this._isoPositionChanged = this._isoBoundsChanged = true;
+Phaser.Plugin.Isometric.IsoSprite.prototype.setDirectionalAnimations = function (walk, idle, minSpeed) {
+    if (typeof walk === 'undefined' || walk === null) {
+        this._directional = null;
     }
-};
-
-Phaser.Plugin.Isometric.IsoSprite.prototype.resetIsoBounds = function () {
-    if (typeof this._isoBounds === "undefined") {
-        this._isoBounds = new Phaser.Plugin.Isometric.Cube();
+    else {
+        this._directional = {
+            walk: walk,
+            idle: idle || null,
+            minSpeed: (typeof minSpeed === 'undefined') ? 1 : minSpeed,
+            current: null
+        };
     }
 
-    var asx = Math.abs(this.scale.x);
-    var asy = Math.abs(this.scale.y);
-
-    this._isoBounds.widthX = Math.round(Math.abs(this.width) * 0.5) * asx;
-    this._isoBounds.widthY = Math.round(Math.abs(this.width) * 0.5) * asx;
-    this._isoBounds.height = Math.round(Math.abs(this.height) - (Math.abs(this.width) * 0.5)) * asy;
-
-    this._isoBounds.x = this.isoX + (this._isoBounds.widthX * -this.anchor.x) + this._isoBounds.widthX * 0.5;
-    this._isoBounds.y = this.isoY + (this._isoBounds.widthY * this.anchor.x) - this._isoBounds.widthY * 0.5;
-    this._isoBounds.z = this.isoZ - (Math.abs(this.height) * (1 - this.anchor.y)) + (Math.abs(this.width * 0.5));
-
-    return this._isoBounds;
+    return this;
 };
 
 /**
- * The axonometric position of the IsoSprite on the x axis. Increasing the x coordinate will move the object down and to the right on the screen.
+ * Play the directional animation matching the current compass direction and speed of the body.
  *
- * @name Phaser.Plugin.Isometric.IsoSprite#isoX
- * @property {number} isoX - The axonometric position of the IsoSprite on the x axis.
+ * @method Phaser.Plugin.Isometric.IsoSprite#_updateDirectional
+ * @memberof Phaser.Plugin.Isometric.IsoSprite
+ * @private
  */
-Object.defineProperty(Phaser.Plugin.Isometric.IsoSprite.prototype, "isoX", {
-    get: function () {
-        return this._isoPosition.x;
-    },
-    set: function (value) {
-        this._isoPosition.x = value;
-        this._depthChanged = this._isoPositionChanged = this._isoBoundsChanged = true;
-        if (this.body){
-            this.body._reset = true;
-        }
+Phaser.Plugin.Isometric.IsoSprite.prototype._updateDirectional = function () {
+    var body = this.body;
+    var settings = this._directional;
+
+    if (!body || !this.exists) {
+        return;
     }
-});
 
-/**
- * The axonometric position of the IsoSprite on the y axis. Increasing the y coordinate will move the object down and to the left on the screen.
- *
- * @name Phaser.Plugin.Isometric.IsoSprite#isoY
- * @property {number} isoY - The axonometric position of the IsoSprite on the y axis.
- */
-Object.defineProperty(Phaser.Plugin.Isometric.IsoSprite.prototype, "isoY", {
-    get: function () {
-        return this._isoPosition.y;
-    },
-    set: function (value) {
-        this._isoPosition.y = value;
-        this._depthChanged = this._isoPositionChanged = this._isoBoundsChanged = true;
-        if (this.body){
-            this.body._reset = true;
+    var velocity = body.velocity;
+    var moving = (velocity.x * velocity.x) + (velocity.y * velocity.y) >= settings.minSpeed * settings.minSpeed;
+    var prefix = moving ? settings.walk : settings.idle;
+
+    if (!prefix) {
+        if (settings.current) {
+            this.animations.stop();
+            settings.current = null;
         }
+
+        return;
     }
-});
+
+    var name = prefix + '_' + body.compass;
+
+    //  Only started when the direction or speed changes, so animations which don't loop are left to finish
+    if (name !== settings.current) {
+        this.animations.play(name);
+        settings.current = name;
+    }
+};
 
 /**
- * The axonometric position of the IsoSprite on the z axis. Increasing the z coordinate will move the object directly upwards on the screen.
+ * Split this IsoSprite into a number of slices along the x or y axis, each a new IsoSprite showing a cropped strip of the texture and covering an equal part of the bounds.
+ * Together the slices look exactly like the original, but as each is depth sorted on its own they can be ordered correctly against things that would otherwise
+ * overlap long IsoSprites (such as walls and bridges) in a cycle. The slices replace this IsoSprite in its parent Group, if it has one.
+ * Only suitable for static, un-flipped IsoSprites without a body. Also available on IsoImage, in which case the slices are IsoImages.
  *
- * @name Phaser.Plugin.Isometric.IsoSprite#isoZ
- * @property {number} isoZ - The axonometric position of the IsoSprite on the z axis.
+ * @method Phaser.Plugin.Isometric.IsoSprite#split
+ * @memberof Phaser.Plugin.Isometric.IsoSprite
+ * @param {string} axis - The axis to split along; either 'x' or 'y'.
+ * @param {number} count - The number of slices to split into.
+ * @return {Array.<Phaser.Plugin.Isometric.IsoSprite>} The slices.
  */
-Object.defineProperty(Phaser.Plugin.Isometric.IsoSprite.prototype, "isoZ", {
-    get: function () {
-        return this._isoPosition.z;
-    },
-    set: function (value) {
-        this._isoPosition.z = value;
-        this._depthChanged = this._isoPositionChanged = this._isoBoundsChanged = true;
-        if (this.body){
-            this.body._reset = true;
+Phaser.Plugin.Isometric.IsoSprite.prototype.split = function (axis, count) {
+    var projector = this.projector;
+    var bounds = this.isoBounds;
+    var world = this.isoWorldPosition;
+    var position = new Phaser.Plugin.Isometric.Point3(world.x, world.y, world.z);
+    var width = Math.abs(this.width);
+    var height = Math.abs(this.height);
+    var scaleX = Math.abs(this.scale.x);
+    var scaleY = Math.abs(this.scale.y);
+    var length = (axis === 'y') ? bounds.widthY : bounds.widthX;
+    var left = this.position.x - (this.anchor.x * width);
+    var origin = projector.project(position);
+    var point = new Phaser.Plugin.Isometric.Point3();
+    var cuts = [];
+    var slices = [];
+    var isoParent = this.isoParent;
+    var i, offset, start, end, slice, shift;
+
+    //  Within an IsoContainer everything is worked out relative to the world, and the slices positioned relative to the container
+    if (this.parent instanceof Phaser.Plugin.Isometric.IsoContainer) {
+        left += projector.project(this.parent.isoWorldPosition).x;
+    }
+
+    //  Find where the boundary between each slice falls across the texture, along the middle of the bounds
+    for (i = 0; i <= count; i++) {
+        offset = (length / count) * i;
+
+        if (axis === 'y') {
+            point.setTo(bounds.centerX, bounds.y + offset, bounds.z);
+        }
+        else {
+            point.setTo(bounds.x + offset, bounds.centerY, bounds.z);
         }
+
+        cuts[i] = projector.project(point).x - left;
     }
-});
 
-/**
- * A Point3 object representing the axonometric position of the IsoSprite.
- *
- * @name Phaser.Plugin.Isometric.IsoSprite#isoPosition
- * @property {Point3} isoPosition - The axonometric position of the IsoSprite.
- * @readonly
- */
-Object.defineProperty(Phaser.Plugin.Isometric.IsoSprite.prototype, "isoPosition", {
-    get: function () {
-        return this._isoPosition;
+    //  The outermost slices take whatever of the texture lies beyond the bounds
+    if (cuts[count] >= cuts[0]) {
+        cuts[0] = 0;
+        cuts[count] = width;
+    }
+    else {
+        cuts[0] = width;
+        cuts[count] = 0;
     }
-});
 
-/**
- * A Cube object representing the derived boundsof the IsoSprite.
- *
- * @name Phaser.Plugin.Isometric.IsoSprite#isoBounds
- * @property {Point3} isoBounds - The derived 3D bounds of the IsoSprite.
- * @readonly
- */
-Object.defineProperty(Phaser.Plugin.Isometric.IsoSprite.prototype, "isoBounds", {
-    get: function () {
-        if (this._isoBoundsChanged || !this._isoBounds) {
-            this.resetIsoBounds();
-            this._isoBoundsChanged = false;
+    for (i = 0; i < count; i++) {
+        start = Phaser.Math.clamp(Math.min(cuts[i], cuts[i + 1]), 0, width);
+        end = Phaser.Math.clamp(Math.max(cuts[i], cuts[i + 1]), 0, width);
+
+        if (end <= start) {
+            continue;
+        }
+
+        offset = (length / count) * i;
+
+        if (axis === 'y') {
+            point.setTo(position.x, position.y + offset, position.z);
+        }
+        else {
+            point.setTo(position.x + offset, position.y, position.z);
         }
-        return this._isoBounds;
+
+        slice = new this.constructor(this.game, point.x - position.x + this.isoX, point.y - position.y + this.isoY, point.z - position.z + this.isoZ, this.key, this.frame);
+        slice.scale.set(this.scale.x, this.scale.y);
+        slice.alpha = this.alpha;
+        slice.tint = this.tint;
+        slice.snap = this.snap;
+        slice.isoLayer = this.isoLayer;
+        slice._projector = this._projector;
+        slice.crop(new Phaser.Rectangle(start / scaleX, 0, (end - start) / scaleX, height / scaleY));
+
+        //  Offset the anchor so the strip is drawn exactly where it was within the original texture
+        shift = projector.project(point);
+        slice.anchor.set(((this.anchor.x * width) - start + (shift.x - origin.x)) / (end - start), this.anchor.y + ((shift.y - origin.y) / height));
+
+        slice._customIsoBounds = new Phaser.Plugin.Isometric.Cube(
+            bounds.x - position.x,
+            bounds.y - position.y,
+            bounds.z - position.z,
+            (axis === 'y') ? bounds.widthX : length / count,
+            (axis === 'y') ? length / count : bounds.widthY,
+            bounds.height
+        );
+        slice._isoBoundsChanged = true;
+
+        slices.push(slice);
     }
-});
 
-/**
- * The non-unit distance of the IsoSprite from the 'front' of the scene. Used to correctly depth sort a group of IsoSprites.
- *
- * @name Phaser.Plugin.Isometric.IsoSprite#depth
- * @property {number} depth - A calculated value used for depth sorting.
- * @readonly
- */
-Object.defineProperty(Phaser.Plugin.Isometric.IsoSprite.prototype, "depth", {
-    get: function () {
-        if (this._depthChanged === true) {
-            this._depth = (this._isoPosition.x + this._isoPosition.y) + (this._isoPosition.z * 1.25);
-            this._depthChanged = false;
+    if (this.parent) {
+        var parent = this.parent;
+        var index = parent.getChildIndex(this);
+
+        parent.remove(this);
+
+        for (i = 0; i < slices.length; i++) {
+            if (isoParent && isoParent !== parent) {
+                //  The IsoContainer is flattened, so it places the slices in its parent itself
+                isoParent.add(slices[i]);
+            }
+            else {
+                parent.addAt(slices[i], index + i);
+            }
         }
-        return this._depth;
     }
-});
+
+    return slices;
+};
+
 
 /**
  * Create a new IsoSprite with specific position and sprite sheet key.
@@ -292,11 +304,9 @@ Phaser.Utils.Debug.prototype.isoSprite = function (sprite, color, filled) {
     color = color || 'rgba(0,255,0,0.4)';
 
 
+    var projector = sprite.projector;
     var points = [],
-        corners = sprite.isoBounds.getCorners();
-
-    var posX = -sprite.game.camera.x;
-    var posY = -sprite.game.camera.y;
+        corners = projector.orientCorners(sprite.isoBounds.getCorners());
 
     this.start();
 
@@ -304,10 +314,7 @@ Phaser.Utils.Debug.prototype.isoSprite = function (sprite, color, filled) {
         points = [corners[1], corners[3], corners[2], corners[6], corners[4], corners[5], corners[1]];
 
         points = points.map(function (p) {
-            var newPos = sprite.game.iso.project(p);
-            newPos.x += posX;
-            newPos.y += posY;
-            return newPos;
+            return projector.projectScreen(p);
         });
         this.context.beginPath();
         this.context.fillStyle = color;
@@ -320,10 +327,7 @@ Phaser.Utils.Debug.prototype.isoSprite = function (sprite, color, filled) {
     } else {
         points = corners.slice(0, corners.length);
         points = points.map(function (p) {
-            var newPos = sprite.game.iso.project(p);
-            newPos.x += posX;
-            newPos.y += posY;
-            return newPos;
+            return projector.projectScreen(p);
         });
 
         this.context.moveTo(points[0].x, points[0].y);
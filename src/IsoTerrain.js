@@ -0,0 +1,318 @@
+/**
+* @class Phaser.Plugin.Isometric.IsoTerrain
+*
+* @classdesc
+* Create a new `IsoTerrain` object. IsoTerrains are IsoGroups of ground tiles built from a heightmap, which gives the height of every corner of every tile, so that
+* the ground can rise and fall in hills and valleys rather than only in flat steps. The heights can be given as an array of rows, or read from the brightness of a
+* grayscale image with IsoTerrain.readHeights.
+*
+* Each tile is an IsoImage resting on the height of its lowest corner, with a frame chosen by which of its corners are raised above that. The corners are numbered
+* 1 for the back (lowest x and y), 2 for the right (highest x, lowest y), 4 for the front and 8 for the left, and the raised ones are added up to give a slope
+* between 0 (flat) and 15, which by default is used as the frame index into a sprite sheet of the 16 tiles. The bottom of each frame sits on the bottom corner of
+* the tile at the height of its lowest corner, as a flat tile would.
+*
+* IsoTerrain#getHeightAt gives the height of the ground anywhere on the terrain. Setting the terrain of the isoArcade physics world keeps bodies from falling
+* through it, and setting the terrain of a Projector makes Projector#unproject find the point on it under the screen position. The terrain starts at the origin
+* of 3D space and extends along the x and y axes.
+*
+* @constructor
+* @extends Phaser.Plugin.Isometric.IsoGroup
+* @param {Phaser.Game} game - A reference to the currently running game.
+* @param {Array.<Array.<number>>|string} heights - The height of each corner, as an array of rows along the y axis of heights along the x axis, so a terrain of
+* 10 by 10 tiles has 11 rows of 11 heights. Alternatively the key of a grayscale image in the cache, read with IsoTerrain.readHeights with a maxHeight of tileSize.
+* @param {number} [tileSize=32] - The size of each tile along the x and y axes of 3D space.
+* @param {string|Phaser.RenderTexture|Phaser.BitmapData|PIXI.Texture} key - The texture of the tiles; usually a sprite sheet with a frame for each slope.
+* @param {DisplayObject|null} [parent=(game world)] - The parent Group (or other DisplayObject) that this terrain will be added to. If undefined/unspecified the terrain will be added to the Game World; if null it will not be added to any parent.
+* @param {string} [name='group'] - A name for this terrain. Not used internally but useful for debugging.
+*/
+Phaser.Plugin.Isometric.IsoTerrain = function (game, heights, tileSize, key, parent, name) {
+
+    Phaser.Plugin.Isometric.IsoGroup.call(this, game, parent, name);
+
+    //  The ground rarely moves, so the cheaper sort is enough
+    this.sortStrategy = Phaser.Plugin.Isometric.SORT_SIMPLE;
+
+    /**
+     * @property {number} tileSize - The size of each tile along the x and y axes of 3D space. Call IsoTerrain#updateTiles after changing it.
+     */
+    this.tileSize = tileSize || 32;
+
+    /**
+     * @property {string|Phaser.RenderTexture|Phaser.BitmapData|PIXI.Texture} key - The texture of the tiles.
+     * @readonly
+     */
+    this.key = key;
+
+    /**
+     * @property {Array.<Array.<number>>} heights - The height of each corner, as an array of rows along the y axis of heights along the x axis. Call
+     * IsoTerrain#updateTiles after changing it.
+     */
+    this.heights = (typeof heights === 'string') ? Phaser.Plugin.Isometric.IsoTerrain.readHeights(game, heights, this.tileSize) : heights;
+
+    /**
+     * @property {array} slopeFrames - The frame to use for each slope from 0 to 15 (see above), or null to use the slope as the frame index. Call
+     * IsoTerrain#updateTiles after changing it.
+     * @default
+     */
+    this.slopeFrames = null;
+
+    /**
+     * @property {Array.<Array.<Phaser.Plugin.Isometric.IsoImage>>} tiles - The tiles of the terrain, as an array of rows along the y axis.
+     * @readonly
+     */
+    this.tiles = [];
+
+    /**
+     * @property {number} minHeight - The height of the lowest corner.
+     * @readonly
+     */
+    this.minHeight = 0;
+
+    /**
+     * @property {number} maxHeight - The height of the highest corner.
+     * @readonly
+     */
+    this.maxHeight = 0;
+
+    this.updateTiles();
+
+};
+
+Phaser.Plugin.Isometric.IsoTerrain.prototype = Object.create(Phaser.Plugin.Isometric.IsoGroup.prototype);
+Phaser.Plugin.Isometric.IsoTerrain.prototype.constructor = Phaser.Plugin.Isometric.IsoTerrain;
+
+/**
+ * Create any missing tiles, and set the frame, position and bounds of every tile from the heights. Tiles beyond the edges of the heights are destroyed.
+ *
+ * @method Phaser.Plugin.Isometric.IsoTerrain#updateTiles
+ * @memberof Phaser.Plugin.Isometric.IsoTerrain
+ */
+Phaser.Plugin.Isometric.IsoTerrain.prototype.updateTiles = function () {
+    var heights = this.heights;
+    var rows = Math.max(0, heights.length - 1);
+    var columns = (rows > 0) ? heights[0].length - 1 : 0;
+    var tileHeight = this._getTileHeight();
+    var x, y, row;
+
+    this.minHeight = Infinity;
+    this.maxHeight = -Infinity;
+
+    for (y = 0; y < heights.length; y++) {
+        for (x = 0; x < heights[y].length; x++) {
+            this.minHeight = Math.min(this.minHeight, heights[y][x]);
+            this.maxHeight = Math.max(this.maxHeight, heights[y][x]);
+        }
+    }
+
+    if (this.minHeight === Infinity) {
+        this.minHeight = this.maxHeight = 0;
+    }
+
+    //  Remove the tiles of rows and columns that are no longer there
+    for (y = this.tiles.length - 1; y >= 0; y--) {
+        row = this.tiles[y];
+
+        while (row.length > ((y < rows) ? columns : 0)) {
+            row.pop().destroy();
+        }
+
+        if (y >= rows) {
+            this.tiles.pop();
+        }
+    }
+
+    for (y = 0; y < rows; y++) {
+        if (!this.tiles[y]) {
+            this.tiles[y] = [];
+        }
+
+        for (x = 0; x < columns; x++) {
+            this._updateTile(x, y, tileHeight);
+        }
+    }
+};
+
+/**
+ * Get the height of the ground at a point, interpolated bilinearly between the corners of the tile it is on.
+ *
+ * @method Phaser.Plugin.Isometric.IsoTerrain#getHeightAt
+ * @memberof Phaser.Plugin.Isometric.IsoTerrain
+ * @param {number} x - The x coordinate of the point.
+ * @param {number} y - The y coordinate of the point.
+ * @return {number} The height of the ground, or -Infinity if the point is beyond the edges of the terrain, so that nothing is ever beneath it there.
+ */
+Phaser.Plugin.Isometric.IsoTerrain.prototype.getHeightAt = function (x, y) {
+    var heights = this.heights;
+    var gx = x / this.tileSize;
+    var gy = y / this.tileSize;
+    var rows = heights.length - 1;
+    var columns = (rows > 0) ? heights[0].length - 1 : 0;
+
+    if (rows < 1 || columns < 1 || !(gx >= 0 && gy >= 0 && gx <= columns && gy <= rows)) {
+        return -Infinity;
+    }
+
+    //  Points on the far edges belong to the last tile
+    var tx = Math.min(Math.floor(gx), columns - 1);
+    var ty = Math.min(Math.floor(gy), rows - 1);
+    var fx = gx - tx;
+    var fy = gy - ty;
+
+    var back = heights[ty][tx] + ((heights[ty][tx + 1] - heights[ty][tx]) * fx);
+    var front = heights[ty + 1][tx] + ((heights[ty + 1][tx + 1] - heights[ty + 1][tx]) * fx);
+
+    return back + ((front - back) * fy);
+};
+
+/**
+ * Get the slope of a tile; the sum of the numbers of its corners which are raised above its lowest corner (see above).
+ *
+ * @method Phaser.Plugin.Isometric.IsoTerrain#getSlope
+ * @memberof Phaser.Plugin.Isometric.IsoTerrain
+ * @param {number} x - The column of the tile.
+ * @param {number} y - The row of the tile.
+ * @return {number} The slope, from 0 to 15.
+ */
+Phaser.Plugin.Isometric.IsoTerrain.prototype.getSlope = function (x, y) {
+    var heights = this.heights;
+    var corners = [heights[y][x], heights[y][x + 1], heights[y + 1][x + 1], heights[y + 1][x]];
+    var base = Math.min(corners[0], corners[1], corners[2], corners[3]);
+    var slope = 0;
+
+    for (var i = 0; i < 4; i++) {
+        if (corners[i] > base) {
+            slope |= 1 << i;
+        }
+    }
+
+    return slope;
+};
+
+/**
+ * Create the tile at a position if it doesn't exist yet, and set its frame, position and bounds from the heights.
+ *
+ * @method Phaser.Plugin.Isometric.IsoTerrain#_updateTile
+ * @memberof Phaser.Plugin.Isometric.IsoTerrain
+ * @param {number} x - The column of the tile.
+ * @param {number} y - The row of the tile.
+ * @param {number} tileHeight - The height of a flat tile on the screen once projected.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoTerrain.prototype._updateTile = function (x, y, tileHeight) {
+    var heights = this.heights;
+    var size = this.tileSize;
+    var half = size * 0.5;
+    var base = Math.min(heights[y][x], heights[y][x + 1], heights[y + 1][x], heights[y + 1][x + 1]);
+    var top = Math.max(heights[y][x], heights[y][x + 1], heights[y + 1][x], heights[y + 1][x + 1]);
+    var slope = this.getSlope(x, y);
+    var frame = this.slopeFrames ? this.slopeFrames[slope] : slope;
+    var tile = this.tiles[y][x];
+
+    if (!tile) {
+        tile = this.tiles[y][x] = new Phaser.Plugin.Isometric.IsoImage(this.game, 0, 0, 0, this.key, frame);
+        this.add(tile);
+    }
+    else if (tile.frame !== frame && tile.frameName !== frame) {
+        tile.loadTexture(this.key, frame);
+    }
+
+    tile.isoX = (x * size) + half;
+    tile.isoY = (y * size) + half;
+    tile.isoZ = base;
+
+    //  Rest the bottom of the image on the bottom corner of the tile, at the height of the lowest corner
+    var frameHeight = Math.abs(tile.height);
+    tile.anchor.set(0.5, (frameHeight - (tileHeight * 0.5)) / frameHeight);
+    tile.setIsoBounds(size, size, top - base, -half, -half, 0);
+};
+
+/**
+ * Get the height of a flat tile on the screen once projected.
+ *
+ * @method Phaser.Plugin.Isometric.IsoTerrain#_getTileHeight
+ * @memberof Phaser.Plugin.Isometric.IsoTerrain
+ * @return {number} The height of the tile.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoTerrain.prototype._getTileHeight = function () {
+    var projector = this._getProjector();
+    var corner = new Phaser.Plugin.Isometric.Point3();
+    var point = new Phaser.Point();
+    var minY = Infinity, maxY = -Infinity;
+
+    for (var i = 0; i < 4; i++) {
+        projector.project(corner.setTo((i & 1) ? this.tileSize : 0, (i & 2) ? this.tileSize : 0, 0), point);
+        minY = Math.min(minY, point.y);
+        maxY = Math.max(maxY, point.y);
+    }
+
+    return maxY - minY;
+};
+
+/**
+ * Read the heights of the corners of a terrain from the brightness of a grayscale image, with one pixel for each corner; so an image of 11 by 11 pixels gives a
+ * terrain of 10 by 10 tiles. Black is a height of 0 and white is maxHeight.
+ *
+ * @method Phaser.Plugin.Isometric.IsoTerrain.readHeights
+ * @param {Phaser.Game} game - The current game object.
+ * @param {string} key - The key of the image in the cache.
+ * @param {number} maxHeight - The height given by a white pixel.
+ * @return {Array.<Array.<number>>} The heights, as an array of rows.
+ */
+Phaser.Plugin.Isometric.IsoTerrain.readHeights = function (game, key, maxHeight) {
+    var image = game.cache.getImage(key);
+    var bmd = game.make.bitmapData(image.width, image.height);
+    var heights = [];
+    var pixel = {};
+    var x, y;
+
+    bmd.copy(key);
+    bmd.update();
+
+    for (y = 0; y < image.height; y++) {
+        heights[y] = [];
+
+        for (x = 0; x < image.width; x++) {
+            bmd.getPixelRGB(x, y, pixel);
+            heights[y][x] = (pixel.r / 255) * maxHeight;
+        }
+    }
+
+    bmd.destroy();
+
+    return heights;
+};
+
+/**
+ * Create a new IsoTerrain from a heightmap.
+ *
+ * @method Phaser.GameObjectCreator#isoTerrain
+ * @param {Array.<Array.<number>>|string} heights - The height of each corner, as an array of rows, or the key of a grayscale image in the cache.
+ * @param {number} [tileSize=32] - The size of each tile along the x and y axes of 3D space.
+ * @param {string|Phaser.RenderTexture|Phaser.BitmapData|PIXI.Texture} key - The texture of the tiles; usually a sprite sheet with a frame for each slope.
+ * @param {any} [parent] - The parent Group or DisplayObjectContainer that will hold this terrain, if any.
+ * @param {string} [name='group'] - A name for this terrain. Not used internally but useful for debugging.
+ * @returns {Phaser.Plugin.Isometric.IsoTerrain} The newly created IsoTerrain.
+ */
+Phaser.GameObjectCreator.prototype.isoTerrain = function (heights, tileSize, key, parent, name) {
+
+    return new Phaser.Plugin.Isometric.IsoTerrain(this.game, heights, tileSize, key, parent, name);
+
+};
+
+/**
+ * Create a new IsoTerrain from a heightmap.
+ *
+ * @method Phaser.GameObjectFactory#isoTerrain
+ * @param {Array.<Array.<number>>|string} heights - The height of each corner, as an array of rows, or the key of a grayscale image in the cache.
+ * @param {number} [tileSize=32] - The size of each tile along the x and y axes of 3D space.
+ * @param {string|Phaser.RenderTexture|Phaser.BitmapData|PIXI.Texture} key - The texture of the tiles; usually a sprite sheet with a frame for each slope.
+ * @param {any} [parent] - The parent Group or DisplayObjectContainer that will hold this terrain, if any. If set to null the terrain won't be added to the display list. If undefined it will be added to World by default.
+ * @param {string} [name='group'] - A name for this terrain. Not used internally but useful for debugging.
+ * @returns {Phaser.Plugin.Isometric.IsoTerrain} The newly created IsoTerrain.
+ */
+Phaser.GameObjectFactory.prototype.isoTerrain = function (heights, tileSize, key, parent, name) {
+
+    return new Phaser.Plugin.Isometric.IsoTerrain(this.game, heights, tileSize, key, parent, name);
+
+};
@@ -0,0 +1,84 @@
+/**
+* @class Phaser.Plugin.Isometric.IsoText
+*
+* @classdesc
+* Create a new `IsoText` object. IsoTexts are extended versions of standard Text objects that are suitable for axonometric positioning, such as floating labels and
+* damage numbers. They share the isoX, isoY and isoZ position properties, snapping, bounds and depth of IsoSprites, so they take part in depth sorting.
+*
+* @constructor
+* @extends Phaser.Text
+* @param {Phaser.Game} game - A reference to the currently running game.
+* @param {number} x - The x coordinate (in 3D space) to position the IsoText at.
+* @param {number} y - The y coordinate (in 3D space) to position the IsoText at.
+* @param {number} z - The z coordinate (in 3D space) to position the IsoText at.
+* @param {string} text - The string that will be displayed.
+* @param {object} [style] - The style object containing style attributes like font, font size, etc. See Phaser.Text.
+ */
+Phaser.Plugin.Isometric.IsoText = function (game, x, y, z, text, style) {
+
+    Phaser.Text.call(this, game, x, y, text, style);
+
+    /**
+     * @property {number} type - The const type of this object.
+     * @readonly
+     */
+    this.type = Phaser.Plugin.Isometric.ISOTEXT;
+
+    Phaser.Plugin.Isometric.IsoObject.init(this, x, y, z);
+};
+
+Phaser.Plugin.Isometric.IsoText.prototype = Object.create(Phaser.Text.prototype);
+Phaser.Plugin.Isometric.IsoText.prototype.constructor = Phaser.Plugin.Isometric.IsoText;
+
+Phaser.Plugin.Isometric.IsoObject.install(Phaser.Plugin.Isometric.IsoText.prototype);
+
+/**
+ * Internal function called by the World postUpdate cycle.
+ *
+ * @method Phaser.Plugin.Isometric.IsoText#postUpdate
+ * @memberof Phaser.Plugin.Isometric.IsoText
+ */
+Phaser.Plugin.Isometric.IsoText.prototype.postUpdate = function () {
+    Phaser.Text.prototype.postUpdate.call(this);
+
+    this._project();
+};
+
+/**
+ * Create a new IsoText with specific position, text and style.
+ *
+ * @method Phaser.GameObjectCreator#isoText
+ * @param {number} x - X position of the new IsoText.
+ * @param {number} y - Y position of the new IsoText.
+ * @param {number} z - Z position of the new IsoText.
+ * @param {string} text - The text to display.
+ * @param {object} [style] - The style object containing style attributes like font, font size, etc.
+ * @returns {Phaser.Plugin.Isometric.IsoText} the newly created IsoText object.
+ */
+Phaser.GameObjectCreator.prototype.isoText = function (x, y, z, text, style) {
+
+    return new Phaser.Plugin.Isometric.IsoText(this.game, x, y, z, text, style);
+
+};
+
+/**
+ * Create a new IsoText with specific position, text and style.
+ *
+ * @method Phaser.GameObjectFactory#isoText
+ * @param {number} x - X position of the new IsoText.
+ * @param {number} y - Y position of the new IsoText.
+ * @param {number} z - Z position of the new IsoText.
+ * @param {string} text - The text to display.
+ * @param {object} [style] - The style object containing style attributes like font, font size, etc.
+ * @param {Phaser.Group} [group] - Optional Group to add the object to. If not specified it will be added to the World group.
+ * @returns {Phaser.Plugin.Isometric.IsoText} the newly created IsoText object.
+ */
+Phaser.GameObjectFactory.prototype.isoText = function (x, y, z, text, style, group) {
+
+    if (typeof group === 'undefined') {
+        group = this.world;
+    }
+
+    return group.add(new Phaser.Plugin.Isometric.IsoText(this.game, x, y, z, text, style));
+
+};
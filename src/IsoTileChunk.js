@@ -0,0 +1,290 @@
+/**
+* @class Phaser.Plugin.Isometric.IsoTileChunk
+*
+* @classdesc
+* Create a new `IsoTileChunk` object. IsoTileChunks are IsoImages which draw a square of the tiles of a static IsoTilemap layer onto a RenderTexture, so that the
+* whole square costs a single draw call and projection rather than one per tile. The tiles are drawn again only when the chunk is marked dirty, as it
+* is by IsoTilemap#putTile, or when the projection changes. The bounds of the chunk enclose all of its tiles, so it is sorted against other objects as one unit.
+* Usually created with IsoTilemap#createStaticLayer.
+*
+* @constructor
+* @extends Phaser.Plugin.Isometric.IsoImage
+* @param {Phaser.Game} game - A reference to the currently running game.
+* @param {Phaser.Plugin.Isometric.IsoTilemap} tilemap - The IsoTilemap the tiles belong to.
+* @param {object} layer - The layer of the IsoTilemap the tiles are on.
+* @param {number} x - The column of the first tile in the chunk.
+* @param {number} y - The row of the first tile in the chunk.
+* @param {number} size - The number of tiles along each side of the chunk.
+*/
+Phaser.Plugin.Isometric.IsoTileChunk = function (game, tilemap, layer, x, y, size) {
+
+    Phaser.Plugin.Isometric.IsoImage.call(this, game, 0, 0, layer.z, new Phaser.RenderTexture(game, 1, 1));
+
+    /**
+     * @property {Phaser.Plugin.Isometric.IsoTilemap} tilemap - The IsoTilemap the tiles belong to.
+     * @readonly
+     */
+    this.tilemap = tilemap;
+
+    /**
+     * @property {object} layer - The layer of the IsoTilemap the tiles are on.
+     * @readonly
+     */
+    this.layer = layer;
+
+    /**
+     * @property {number} tileX - The column of the first tile in the chunk.
+     * @readonly
+     */
+    this.tileX = x;
+
+    /**
+     * @property {number} tileY - The row of the first tile in the chunk.
+     * @readonly
+     */
+    this.tileY = y;
+
+    /**
+     * @property {number} size - The number of tiles along each side of the chunk.
+     * @readonly
+     */
+    this.size = size;
+
+    /**
+     * @property {boolean} dirty - Set to true to draw the tiles again on the next postUpdate.
+     * @default
+     */
+    this.dirty = true;
+
+    /**
+     * @property {Phaser.Image} _stamp - The image each tile is drawn with.
+     * @private
+     */
+    this._stamp = new Phaser.Image(game, 0, 0);
+
+    /**
+     * @property {Phaser.Matrix} _matrix - Internal cache var.
+     * @private
+     */
+    this._matrix = new Phaser.Matrix();
+
+    /**
+     * @property {array} _entries - The tiles to draw, with where and how to draw each of them.
+     * @private
+     */
+    this._entries = [];
+
+    /**
+     * @property {array} _axes - The projected x, y and z axes as of the last time the tiles were drawn, to tell when the projection changes.
+     * @private
+     */
+    this._axes = [0, 0, 0, 0, 0, 0];
+
+    /**
+     * @property {Phaser.Point} _point - Internal cache var.
+     * @private
+     */
+    this._point = new Phaser.Point();
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Point3} _point3 - Internal cache var.
+     * @private
+     */
+    this._point3 = new Phaser.Plugin.Isometric.Point3();
+
+};
+
+Phaser.Plugin.Isometric.IsoTileChunk.prototype = Object.create(Phaser.Plugin.Isometric.IsoImage.prototype);
+Phaser.Plugin.Isometric.IsoTileChunk.prototype.constructor = Phaser.Plugin.Isometric.IsoTileChunk;
+
+/**
+ * Internal function called by the World postUpdate cycle.
+ *
+ * @method Phaser.Plugin.Isometric.IsoTileChunk#postUpdate
+ * @memberof Phaser.Plugin.Isometric.IsoTileChunk
+ */
+Phaser.Plugin.Isometric.IsoTileChunk.prototype.postUpdate = function () {
+    if (this.dirty || this._hasProjectionChanged()) {
+        this.render();
+    }
+
+    Phaser.Plugin.Isometric.IsoImage.prototype.postUpdate.call(this);
+};
+
+/**
+ * Draw the tiles onto the RenderTexture, resizing it to fit them, and recalculate the position and bounds of the chunk to enclose them. The chunk is positioned at
+ * the back corner of its tiles.
+ *
+ * @method Phaser.Plugin.Isometric.IsoTileChunk#render
+ * @memberof Phaser.Plugin.Isometric.IsoTileChunk
+ */
+Phaser.Plugin.Isometric.IsoTileChunk.prototype.render = function () {
+    var tilemap = this.tilemap;
+    var layer = this.layer;
+    var projector = this.projector;
+    var projected = tilemap._getProjectedTile(tilemap.tileSize);
+    var size = tilemap.tileSize;
+    var half = size * 0.5;
+    var stamp = this._stamp;
+    var entries = this._entries;
+    var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity, top = layer.z;
+    var left = Infinity, upper = Infinity, right = -Infinity, lower = -Infinity;
+    var x, y, i, tile, entry, side, height, width;
+
+    entries.length = 0;
+
+    for (y = this.tileY; y < Math.min(this.tileY + this.size, tilemap.height); y++) {
+        for (x = this.tileX; x < Math.min(this.tileX + this.size, tilemap.width); x++) {
+            tile = layer.tiles[y][x];
+
+            if (!tile) {
+                continue;
+            }
+
+            tilemap.tileToWorld(x, y, layer.z, tile.worldPosition);
+            stamp.loadTexture(tile.tileset.key, tile.index - tile.tileset.firstgid);
+            height = tilemap._anchorTileImage(stamp, tile, projected);
+
+            minX = Math.min(minX, tile.worldPosition.x);
+            minY = Math.min(minY, tile.worldPosition.y);
+            maxX = Math.max(maxX, tile.worldPosition.x + size);
+            maxY = Math.max(maxY, tile.worldPosition.y + size);
+            top = Math.max(top, layer.z + height);
+
+            projector.project(this._point3.setTo(tile.worldPosition.x + half, tile.worldPosition.y + half, layer.z), this._point);
+
+            entries.push({
+                tile: tile,
+                x: this._point.x,
+                y: this._point.y,
+                anchorX: stamp.anchor.x,
+                anchorY: stamp.anchor.y,
+                width: Math.abs(stamp.width),
+                height: Math.abs(stamp.height)
+            });
+        }
+    }
+
+    this._storeProjection();
+    this.dirty = false;
+
+    if (entries.length === 0) {
+        this.renderable = false;
+        tilemap.tileToWorld(this.tileX, this.tileY, layer.z, this._point3);
+        this.isoX = this._point3.x;
+        this.isoY = this._point3.y;
+        this.isoZ = this._point3.z;
+        this.setIsoBounds(0, 0, 0);
+
+        return;
+    }
+
+    this.renderable = !this.isoCulled;
+    this.isoX = minX;
+    this.isoY = minY;
+    this.isoZ = layer.z;
+
+    //  The chunk may be drawn again because the projection has changed while its position hasn't
+    this._invalidateIsoPosition();
+
+    //  Find where each tile goes relative to the position of the chunk, and the rectangle they take up together
+    var origin = projector.project(this._point3.setTo(minX, minY, layer.z), this._point);
+
+    for (i = 0; i < entries.length; i++) {
+        entry = entries[i];
+        entry.x -= origin.x;
+        entry.y -= origin.y;
+
+        //  Flipped tiles are mirrored around their anchor
+        side = entry.tile.flipped ? (1 - entry.anchorX) : entry.anchorX;
+
+        left = Math.min(left, entry.x - (side * entry.width));
+        right = Math.max(right, entry.x + ((1 - side) * entry.width));
+        upper = Math.min(upper, entry.y - (entry.anchorY * entry.height));
+        lower = Math.max(lower, entry.y + ((1 - entry.anchorY) * entry.height));
+    }
+
+    left = Math.floor(left);
+    upper = Math.floor(upper);
+    width = Math.ceil(right) - left;
+    height = Math.ceil(lower) - upper;
+
+    if (this.texture.width !== width || this.texture.height !== height) {
+        this.texture.resize(width, height, true);
+    }
+
+    for (i = 0; i < entries.length; i++) {
+        entry = entries[i];
+        stamp.loadTexture(entry.tile.tileset.key, entry.tile.index - entry.tile.tileset.firstgid);
+        stamp.anchor.set(entry.anchorX, entry.anchorY);
+
+        this._matrix.setTo(entry.tile.flipped ? -1 : 1, 0, 0, 1, entry.x - left, entry.y - upper);
+        this.texture.render(stamp, this._matrix, i === 0);
+    }
+
+    this.anchor.set(-left / width, -upper / height);
+    this.setIsoBounds(maxX - minX, maxY - minY, top - layer.z);
+};
+
+/**
+ * Destroy the IsoTileChunk along with its RenderTexture.
+ *
+ * @method Phaser.Plugin.Isometric.IsoTileChunk#destroy
+ * @memberof Phaser.Plugin.Isometric.IsoTileChunk
+ * @param {boolean} [destroyChildren=true] - Should every child of this object have its destroy method called?
+ */
+Phaser.Plugin.Isometric.IsoTileChunk.prototype.destroy = function (destroyChildren) {
+    var texture = this.texture;
+
+    this._stamp.destroy();
+
+    Phaser.Plugin.Isometric.IsoImage.prototype.destroy.call(this, destroyChildren);
+
+    texture.destroy(true);
+};
+
+/**
+ * Determine whether the projection has changed since the tiles were last drawn, such as by a change of orientation, so that they need drawing again.
+ *
+ * @method Phaser.Plugin.Isometric.IsoTileChunk#_hasProjectionChanged
+ * @memberof Phaser.Plugin.Isometric.IsoTileChunk
+ * @return {boolean} True if the projection has changed.
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoTileChunk.prototype._hasProjectionChanged = function () {
+    var axes = this._axes;
+    var projector = this.projector;
+    var origin = projector.project(this._point3.setTo(0, 0, 0), this._point);
+    var ox = origin.x;
+    var oy = origin.y;
+
+    for (var i = 0; i < 3; i++) {
+        projector.project(this._point3.setTo((i === 0) ? 1 : 0, (i === 1) ? 1 : 0, (i === 2) ? 1 : 0), this._point);
+
+        if (axes[i * 2] !== this._point.x - ox || axes[(i * 2) + 1] !== this._point.y - oy) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+/**
+ * Store the projected axes, to compare against in IsoTileChunk#_hasProjectionChanged.
+ *
+ * @method Phaser.Plugin.Isometric.IsoTileChunk#_storeProjection
+ * @memberof Phaser.Plugin.Isometric.IsoTileChunk
+ * @private
+ */
+Phaser.Plugin.Isometric.IsoTileChunk.prototype._storeProjection = function () {
+    var projector = this.projector;
+    var origin = projector.project(this._point3.setTo(0, 0, 0), this._point);
+    var ox = origin.x;
+    var oy = origin.y;
+
+    for (var i = 0; i < 3; i++) {
+        projector.project(this._point3.setTo((i === 0) ? 1 : 0, (i === 1) ? 1 : 0, (i === 2) ? 1 : 0), this._point);
+        this._axes[i * 2] = this._point.x - ox;
+        this._axes[(i * 2) + 1] = this._point.y - oy;
+    }
+};
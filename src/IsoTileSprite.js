@@ -0,0 +1,90 @@
+/**
+* @class Phaser.Plugin.Isometric.IsoTileSprite
+*
+* @classdesc
+* Create a new `IsoTileSprite` object. IsoTileSprites are extended versions of standard TileSprites that are suitable for axonometric positioning, such as large tiled
+* floors and water. They share the isoX, isoY and isoZ position properties, snapping, bounds and depth of IsoSprites, and can carry an isoArcade physics body.
+*
+* @constructor
+* @extends Phaser.TileSprite
+* @param {Phaser.Game} game - A reference to the currently running game.
+* @param {number} x - The x coordinate (in 3D space) to position the IsoTileSprite at.
+* @param {number} y - The y coordinate (in 3D space) to position the IsoTileSprite at.
+* @param {number} z - The z coordinate (in 3D space) to position the IsoTileSprite at.
+* @param {number} width - The width of the IsoTileSprite.
+* @param {number} height - The height of the IsoTileSprite.
+* @param {string|Phaser.RenderTexture|Phaser.BitmapData|PIXI.Texture} key - This is the image or texture used by the IsoTileSprite during rendering. It can be a string which is a reference to the Cache entry, or an instance of a RenderTexture or PIXI.Texture.
+* @param {string|number} frame - If this IsoTileSprite is using part of a sprite sheet or texture atlas you can specify the exact frame to use by giving a string or numeric index.
+ */
+Phaser.Plugin.Isometric.IsoTileSprite = function (game, x, y, z, width, height, key, frame) {
+
+    Phaser.TileSprite.call(this, game, x, y, width, height, key, frame);
+
+    /**
+     * @property {number} type - The const type of this object.
+     * @readonly
+     */
+    this.type = Phaser.Plugin.Isometric.ISOTILESPRITE;
+
+    Phaser.Plugin.Isometric.IsoObject.init(this, x, y, z);
+};
+
+Phaser.Plugin.Isometric.IsoTileSprite.prototype = Object.create(Phaser.TileSprite.prototype);
+Phaser.Plugin.Isometric.IsoTileSprite.prototype.constructor = Phaser.Plugin.Isometric.IsoTileSprite;
+
+Phaser.Plugin.Isometric.IsoObject.install(Phaser.Plugin.Isometric.IsoTileSprite.prototype);
+
+/**
+ * Internal function called by the World postUpdate cycle.
+ *
+ * @method Phaser.Plugin.Isometric.IsoTileSprite#postUpdate
+ * @memberof Phaser.Plugin.Isometric.IsoTileSprite
+ */
+Phaser.Plugin.Isometric.IsoTileSprite.prototype.postUpdate = function () {
+    Phaser.TileSprite.prototype.postUpdate.call(this);
+
+    this._project();
+};
+
+/**
+ * Create a new IsoTileSprite with specific position, size and sprite sheet key.
+ *
+ * @method Phaser.GameObjectCreator#isoTileSprite
+ * @param {number} x - X position of the new IsoTileSprite.
+ * @param {number} y - Y position of the new IsoTileSprite.
+ * @param {number} z - Z position of the new IsoTileSprite.
+ * @param {number} width - The width of the new IsoTileSprite.
+ * @param {number} height - The height of the new IsoTileSprite.
+ * @param {string|Phaser.RenderTexture|PIXI.Texture} key - This is the image or texture used by the IsoTileSprite during rendering. It can be a string which is a reference to the Cache entry, or an instance of a RenderTexture or PIXI.Texture.
+ * @param {string|number} [frame] - If the IsoTileSprite uses an image from a texture atlas or sprite sheet you can pass the frame here. Either a number for a frame ID or a string for a frame name.
+ * @returns {Phaser.Plugin.Isometric.IsoTileSprite} the newly created IsoTileSprite object.
+ */
+Phaser.GameObjectCreator.prototype.isoTileSprite = function (x, y, z, width, height, key, frame) {
+
+    return new Phaser.Plugin.Isometric.IsoTileSprite(this.game, x, y, z, width, height, key, frame);
+
+};
+
+/**
+ * Create a new IsoTileSprite with specific position, size and sprite sheet key.
+ *
+ * @method Phaser.GameObjectFactory#isoTileSprite
+ * @param {number} x - X position of the new IsoTileSprite.
+ * @param {number} y - Y position of the new IsoTileSprite.
+ * @param {number} z - Z position of the new IsoTileSprite.
+ * @param {number} width - The width of the new IsoTileSprite.
+ * @param {number} height - The height of the new IsoTileSprite.
+ * @param {string|Phaser.RenderTexture|PIXI.Texture} key - This is the image or texture used by the IsoTileSprite during rendering. It can be a string which is a reference to the Cache entry, or an instance of a RenderTexture or PIXI.Texture.
+ * @param {string|number} [frame] - If the IsoTileSprite uses an image from a texture atlas or sprite sheet you can pass the frame here. Either a number for a frame ID or a string for a frame name.
+ * @param {Phaser.Group} [group] - Optional Group to add the object to. If not specified it will be added to the World group.
+ * @returns {Phaser.Plugin.Isometric.IsoTileSprite} the newly created IsoTileSprite object.
+ */
+Phaser.GameObjectFactory.prototype.isoTileSprite = function (x, y, z, width, height, key, frame, group) {
+
+    if (typeof group === 'undefined') {
+        group = this.world;
+    }
+
+    return group.add(new Phaser.Plugin.Isometric.IsoTileSprite(this.game, x, y, z, width, height, key, frame));
+
+};
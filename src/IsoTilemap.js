@@ -0,0 +1,774 @@
+/**
+ * @class Phaser.Plugin.Isometric.IsoTilemap
+ *
+ * @classdesc
+ * Creates a new IsoTilemap from a map made in the Tiled map editor with either the isometric or the staggered (isometric) orientation, saved in the JSON format.
+ * Each tile layer can be turned into an IsoGroup of IsoSprites or IsoImages with IsoTilemap#createLayer, and tiles can be looked up by their position in the map or in
+ * 3D space.
+ *
+ * The tiles of the map are laid out on a grid of squares tileSize wide along the x and y axes of 3D space, and each layer is raised to the height given by a custom
+ * property named z on it in Tiled, or 0 if it has none. By default the tileSize is chosen so that a tile projects to the same width on the screen as it does in Tiled.
+ *
+ * Tileset images need to be loaded as sprite sheets (or atlases with numeric frame names), with the frame of each tile matching its id within the tileset. They are
+ * expected under the same key as the name of their tileset, unless a different key is given with IsoTilemap#addTilesetImage. Tile layer data must be saved as CSV or
+ * an array, rather than compressed, and infinite maps aren't supported.
+ *
+ * @constructor
+ * @param {Phaser.Game} game - The current game object.
+ * @param {string|object} key - The key of the map data in the cache, loaded with ```game.load.tilemap(key, url, null, Phaser.Tilemap.TILED_JSON)```, or the parsed map data.
+ * @param {number} [tileSize] - The size of each tile along the x and y axes of 3D space. Defaults to the size which projects to the tile width of the map.
+ */
+Phaser.Plugin.Isometric.IsoTilemap = function (game, key, tileSize) {
+
+    var data = (typeof key === 'string') ? game.cache.getTilemapData(key).data : key;
+    var i;
+
+    /**
+     * @property {Phaser.Game} game - The current game object.
+     */
+    this.game = game;
+
+    /**
+     * @property {string|null} key - The key of the map data in the cache, or null if the data was given directly.
+     * @readonly
+     */
+    this.key = (typeof key === 'string') ? key : null;
+
+    /**
+     * @property {string} orientation - The orientation of the map in Tiled; 'staggered' for staggered maps, while any other is laid out as an isometric map.
+     * @readonly
+     */
+    this.orientation = data.orientation;
+
+    /**
+     * @property {string} staggerAxis - The axis along which every other row or column is shifted in a staggered map; either 'x' or 'y'.
+     * @readonly
+     */
+    this.staggerAxis = data.staggeraxis || 'y';
+
+    /**
+     * @property {string} staggerIndex - Which rows or columns are shifted in a staggered map; either 'odd' or 'even'.
+     * @readonly
+     */
+    this.staggerIndex = data.staggerindex || 'odd';
+
+    /**
+     * @property {number} width - The width of the map in tiles.
+     * @readonly
+     */
+    this.width = data.width;
+
+    /**
+     * @property {number} height - The height of the map in tiles.
+     * @readonly
+     */
+    this.height = data.height;
+
+    /**
+     * @property {number} tileWidth - The width of a tile on the screen in Tiled, in pixels.
+     * @readonly
+     */
+    this.tileWidth = data.tilewidth;
+
+    /**
+     * @property {number} tileHeight - The height of a tile on the screen in Tiled, in pixels.
+     * @readonly
+     */
+    this.tileHeight = data.tileheight;
+
+    /**
+     * @property {object} properties - The custom properties of the map.
+     */
+    this.properties = Phaser.Plugin.Isometric.IsoTilemap.parseProperties(data.properties);
+
+    /**
+     * @property {Phaser.Point} _point - Internal cache var.
+     * @private
+     */
+    this._point = new Phaser.Point();
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Projector} projector - The Projector used to size and position the tiles. Defaults to game.iso.
+     */
+    this.projector = Phaser.Plugin.Isometric.Projector.getProjector(game.world, game);
+
+    /**
+     * @property {number} tileSize - The size of each tile along the x and y axes of 3D space.
+     */
+    this.tileSize = tileSize || (this.tileWidth / this._getProjectedTile(1).width);
+
+    /**
+     * @property {function} classType - The class of the display objects created for tiles; either Phaser.Plugin.Isometric.IsoSprite, or IsoImage for lighter static scenery.
+     * @default
+     */
+    this.classType = Phaser.Plugin.Isometric.IsoSprite;
+
+    /**
+     * @property {array} tilesets - The tilesets of the map, in order of their first gid, each with the name, firstgid, key and tileProperties of the tileset.
+     * @readonly
+     */
+    this.tilesets = [];
+
+    /**
+     * @property {array} layers - The tile layers of the map, in drawing order, each with the name, z, visible, alpha and properties of the layer, its tiles in a
+     * two-dimensional array (indexed by row and then column, with null where there is no tile), the group created for it by IsoTilemap#createLayer or
+     * createStaticLayer, and for static layers its chunks (in a two-dimensional array like the tiles) and chunkSize.
+     * @readonly
+     */
+    this.layers = [];
+
+    /**
+     * @property {array} _groups - The IsoGroups created for layers by this IsoTilemap, which are destroyed along with it.
+     * @private
+     */
+    this._groups = [];
+
+    for (i = 0; i < data.tilesets.length; i++) {
+        this._parseTileset(data.tilesets[i]);
+    }
+
+    this.tilesets.sort(function (a, b) {
+        return a.firstgid - b.firstgid;
+    });
+
+    for (i = 0; i < data.layers.length; i++) {
+        //  Only uncompressed tile layers are supported
+        if (data.layers[i].type === 'tilelayer' && Array.isArray(data.layers[i].data)) {
+            this._parseLayer(data.layers[i]);
+        }
+    }
+
+};
+
+//  Flags stored in the high bits of Tiled gids
+Phaser.Plugin.Isometric.IsoTilemap.FLIPPED_HORIZONTALLY = 0x80000000;
+Phaser.Plugin.Isometric.IsoTilemap.FLIPPED_VERTICALLY = 0x40000000;
+Phaser.Plugin.Isometric.IsoTilemap.FLIPPED_DIAGONALLY = 0x20000000;
+
+Phaser.Plugin.Isometric.IsoTilemap.prototype = {
+
+    /**
+     * Set the key of the image used for a tileset, for when it was loaded under a key other than the name of the tileset.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#addTilesetImage
+     * @param {string} tileset - The name of the tileset in Tiled.
+     * @param {string} [key] - The key of the sprite sheet in the cache. Defaults to the name of the tileset.
+     * @return {object|null} The tileset, or null if the map has no tileset with that name.
+     */
+    addTilesetImage: function (tileset, key) {
+        for (var i = 0; i < this.tilesets.length; i++) {
+            if (this.tilesets[i].name === tileset) {
+                this.tilesets[i].key = key || tileset;
+
+                return this.tilesets[i];
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Create a display object of the classType for every tile in a layer, positioned at the centre of its square and raised to the height of the layer. The bottom of
+     * each tile image sits on the bottom corner of its square, as in Tiled, and it is given bounds (see IsoObject#setIsoBounds) filling its square up to the height the
+     * image rises above it.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#createLayer
+     * @param {number|string} layer - The index or name of the layer.
+     * @param {Phaser.Group} [group] - The Group to add the tiles to. Defaults to a new IsoGroup, added to the game world, using the simple sort strategy.
+     * @return {Phaser.Group|null} The Group the tiles were added to, or null if the map has no such layer.
+     */
+    createLayer: function (layer, group) {
+        layer = this.getLayer(layer);
+
+        if (!layer) {
+            return null;
+        }
+
+        if (typeof group === 'undefined') {
+            group = this._createGroup(layer);
+        }
+
+        var projected = this._getProjectedTile(this.tileSize);
+        var tiles = layer.tiles;
+
+        for (var y = 0; y < tiles.length; y++) {
+            for (var x = 0; x < tiles[y].length; x++) {
+                if (tiles[y][x]) {
+                    this._createTileSprite(tiles[y][x], group, projected);
+                }
+            }
+        }
+
+        layer.group = group;
+
+        return group;
+    },
+
+    /**
+     * Create a layer for static ground which is drawn in chunks rather than tile by tile. The layer is split into squares of chunkSize by chunkSize tiles, each an
+     * IsoTileChunk which draws its tiles onto a RenderTexture once, and again only when one of them is changed with IsoTilemap#putTile. Each chunk is sorted as a
+     * single object with bounds enclosing all of its tiles, so other objects added to the same group still sort correctly against it.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#createStaticLayer
+     * @param {number|string} layer - The index or name of the layer.
+     * @param {Phaser.Group} [group] - The Group to add the chunks to. Defaults to a new IsoGroup, added to the game world, using the topological sort strategy.
+     * @param {number} [chunkSize=16] - The number of tiles along each side of a chunk.
+     * @return {Phaser.Group|null} The Group the chunks were added to, or null if the map has no such layer.
+     */
+    createStaticLayer: function (layer, group, chunkSize) {
+        layer = this.getLayer(layer);
+
+        if (!layer) {
+            return null;
+        }
+
+        if (typeof group === 'undefined') {
+            group = this._createGroup(layer);
+            group.sortStrategy = Phaser.Plugin.Isometric.SORT_TOPOLOGICAL;
+        }
+
+        chunkSize = chunkSize || 16;
+
+        var x, y, row, chunk;
+
+        layer.chunkSize = chunkSize;
+        layer.chunks = [];
+
+        for (y = 0; y < this.height; y += chunkSize) {
+            row = [];
+
+            for (x = 0; x < this.width; x += chunkSize) {
+                chunk = new Phaser.Plugin.Isometric.IsoTileChunk(this.game, this, layer, x, y, chunkSize);
+                group.add(chunk);
+                chunk.render();
+                row.push(chunk);
+            }
+
+            layer.chunks.push(row);
+        }
+
+        layer.group = group;
+
+        return group;
+    },
+
+    /**
+     * Create every tile layer of the map with IsoTilemap#createLayer, in drawing order, each in a new IsoGroup.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#createLayers
+     * @param {Phaser.Group} [parent] - The Group to add the IsoGroups for the layers to. Defaults to the game world.
+     * @return {array} The IsoGroups for the layers.
+     */
+    createLayers: function (parent) {
+        var groups = [];
+
+        for (var i = 0; i < this.layers.length; i++) {
+            groups.push(this.createLayer(i, this._createGroup(this.layers[i], parent)));
+        }
+
+        return groups;
+    },
+
+    /**
+     * Change the tile at a position in a layer, updating its display object if the layer has been created, or marking its chunk to be drawn again if it is static.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#putTile
+     * @param {number} index - The gid of the new tile, as in Tiled, or 0 to remove the tile.
+     * @param {number} x - The column of the tile in the map.
+     * @param {number} y - The row of the tile in the map.
+     * @param {number|string} layer - The index or name of the layer.
+     * @return {object|null} The new tile, or null if there is none.
+     */
+    putTile: function (index, x, y, layer) {
+        layer = this.getLayer(layer);
+
+        if (!layer || x < 0 || y < 0 || x >= this.width || y >= this.height) {
+            return null;
+        }
+
+        var old = layer.tiles[y][x];
+        var tile = this._createTile(index, x, y, layer);
+
+        if (old && old.sprite) {
+            old.sprite.destroy();
+            old.sprite = null;
+        }
+
+        layer.tiles[y][x] = tile;
+
+        if (layer.chunks) {
+            layer.chunks[Math.floor(y / layer.chunkSize)][Math.floor(x / layer.chunkSize)].dirty = true;
+        }
+        else if (tile && layer.group) {
+            this._createTileSprite(tile, layer.group, this._getProjectedTile(this.tileSize));
+        }
+
+        return tile;
+    },
+
+    /**
+     * Remove the tile at a position in a layer; see IsoTilemap#putTile.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#removeTile
+     * @param {number} x - The column of the tile in the map.
+     * @param {number} y - The row of the tile in the map.
+     * @param {number|string} layer - The index or name of the layer.
+     */
+    removeTile: function (x, y, layer) {
+        this.putTile(0, x, y, layer);
+    },
+
+    /**
+     * Get a tile layer of the map.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#getLayer
+     * @param {number|string|object} layer - The index or name of the layer, or the layer itself.
+     * @return {object|null} The layer, or null if the map has no such layer.
+     */
+    getLayer: function (layer) {
+        if (typeof layer === 'number') {
+            return this.layers[layer] || null;
+        }
+        else if (typeof layer === 'string') {
+            for (var i = 0; i < this.layers.length; i++) {
+                if (this.layers[i].name === layer) {
+                    return this.layers[i];
+                }
+            }
+
+            return null;
+        }
+
+        return layer || null;
+    },
+
+    /**
+     * Get the tile at a position in the map, from the highest layer at or below a height; so passing the z of an object finds the tile it stands on. Each tile has the
+     * gid of its image in Tiled as its index, along with the tileset it comes from, its x and y in the map, the layer it is on, its properties, the worldPosition of the
+     * back corner of its square and the sprite created for it, if any.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#getTileAt
+     * @param {number} x - The column of the tile in the map.
+     * @param {number} y - The row of the tile in the map.
+     * @param {number} [z=Infinity] - The height to look down from. Defaults to finding the tile on the highest layer.
+     * @return {object|null} The tile, or null if there is none.
+     */
+    getTileAt: function (x, y, z) {
+        if (typeof z === 'undefined') {
+            z = Infinity;
+        }
+
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) {
+            return null;
+        }
+
+        var found = null;
+        var tile;
+
+        for (var i = 0; i < this.layers.length; i++) {
+            tile = this.layers[i].tiles[y][x];
+
+            //  Later layers are drawn on top, so they win ties
+            if (tile && this.layers[i].z <= z && (!found || this.layers[i].z >= found.layer.z)) {
+                found = tile;
+            }
+        }
+
+        return found;
+    },
+
+    /**
+     * Get the tile at a point in 3D space; see IsoTilemap#getTileAt.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#getTileAtWorld
+     * @param {Phaser.Plugin.Isometric.Point3} point3 - The point.
+     * @return {object|null} The tile, or null if there is none.
+     */
+    getTileAtWorld: function (point3) {
+        var tile = this.worldToTile(point3.x, point3.y, this._point);
+
+        return this.getTileAt(tile.x, tile.y, point3.z);
+    },
+
+    /**
+     * Find the position in the map of the tile whose square holds a point in 3D space. The position may be outside the map. If given the coordinates will be set into
+     * the object, otherwise a brand new Point object will be created and returned.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#worldToTile
+     * @param {number} x - The x coordinate of the point.
+     * @param {number} y - The y coordinate of the point.
+     * @param {Phaser.Point} [out] - The Point to store the column and row of the tile in.
+     * @return {Phaser.Point} The column and row of the tile.
+     */
+    worldToTile: function (x, y, out) {
+        if (typeof out === 'undefined') {
+            out = new Phaser.Point();
+        }
+
+        var gridX = Math.floor(x / this.tileSize);
+        var gridY = Math.floor(y / this.tileSize);
+
+        if (this.orientation !== 'staggered') {
+            return out.setTo(gridX, gridY);
+        }
+
+        //  The reverse of IsoTilemap#tileToWorld
+        var shift = (this.staggerIndex === 'odd') ? 1 : -1;
+        var major;
+
+        if (this.staggerAxis === 'x') {
+            major = gridX - gridY;
+
+            return out.setTo(major, (gridX + gridY - (shift * (major & 1))) / 2);
+        }
+
+        major = gridX + gridY;
+
+        return out.setTo((gridX - gridY - (shift * (major & 1))) / 2, major);
+    },
+
+    /**
+     * Find the back corner in 3D space of the square of a tile; the corner with the lowest x and y. Add half the tileSize to both for the centre of the square. If given
+     * the coordinates will be set into the object, otherwise a brand new Point3 object will be created and returned.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#tileToWorld
+     * @param {number} x - The column of the tile in the map.
+     * @param {number} y - The row of the tile in the map.
+     * @param {number} [z=0] - The z coordinate to give the point.
+     * @param {Phaser.Plugin.Isometric.Point3} [out] - The Point3 to store the corner in.
+     * @return {Phaser.Plugin.Isometric.Point3} The back corner of the square.
+     */
+    tileToWorld: function (x, y, z, out) {
+        if (typeof out === 'undefined') {
+            out = new Phaser.Plugin.Isometric.Point3();
+        }
+
+        z = z || 0;
+
+        if (this.orientation !== 'staggered') {
+            return out.setTo(x * this.tileSize, y * this.tileSize, z);
+        }
+
+        //  Staggered maps lay tiles out in rows (or columns) across the screen, with every other one shifted by half a tile; turn that into a position on the grid
+        var shift = (this.staggerIndex === 'odd') ? 1 : -1;
+        var sum, difference;
+
+        if (this.staggerAxis === 'x') {
+            sum = (2 * y) + (shift * (x & 1));
+            difference = x;
+        }
+        else {
+            sum = y;
+            difference = (2 * x) + (shift * (y & 1));
+        }
+
+        return out.setTo(((sum + difference) / 2) * this.tileSize, ((sum - difference) / 2) * this.tileSize, z);
+    },
+
+    /**
+     * Destroy the display objects and chunks created for the tiles, and any IsoGroups created for the layers.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#destroy
+     */
+    destroy: function () {
+        var layer, x, y, i;
+
+        for (i = 0; i < this.layers.length; i++) {
+            layer = this.layers[i];
+
+            for (y = 0; y < layer.tiles.length; y++) {
+                for (x = 0; x < layer.tiles[y].length; x++) {
+                    if (layer.tiles[y][x] && layer.tiles[y][x].sprite) {
+                        layer.tiles[y][x].sprite.destroy();
+                        layer.tiles[y][x].sprite = null;
+                    }
+                }
+            }
+
+            for (y = 0; layer.chunks && y < layer.chunks.length; y++) {
+                for (x = 0; x < layer.chunks[y].length; x++) {
+                    layer.chunks[y][x].destroy();
+                }
+            }
+
+            layer.chunks = null;
+            layer.group = null;
+        }
+
+        for (i = 0; i < this._groups.length; i++) {
+            this._groups[i].destroy();
+        }
+
+        this._groups.length = 0;
+    },
+
+    /**
+     * Create an IsoGroup for the tiles of a layer, matching its name, visibility and opacity.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#_createGroup
+     * @param {object} layer - The layer.
+     * @param {Phaser.Group} [parent] - The Group to add the IsoGroup to. Defaults to the game world.
+     * @return {Phaser.Plugin.Isometric.IsoGroup} The IsoGroup.
+     * @private
+     */
+    _createGroup: function (layer, parent) {
+        var group = new Phaser.Plugin.Isometric.IsoGroup(this.game, parent, layer.name);
+
+        //  Tiles rarely move, so the cheaper sort is enough
+        group.sortStrategy = Phaser.Plugin.Isometric.SORT_SIMPLE;
+        group.visible = layer.visible;
+        group.alpha = layer.alpha;
+
+        this._groups.push(group);
+
+        return group;
+    },
+
+    /**
+     * Create a display object of the classType for a tile and add it to a group.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#_createTileSprite
+     * @param {object} tile - The tile.
+     * @param {Phaser.Group} group - The Group to add the display object to.
+     * @param {object} projected - The measurements of a projected tile, from IsoTilemap#_getProjectedTile.
+     * @return {PIXI.DisplayObject} The display object.
+     * @private
+     */
+    _createTileSprite: function (tile, group, projected) {
+        var half = this.tileSize * 0.5;
+        var position = this.tileToWorld(tile.x, tile.y, tile.layer.z, tile.worldPosition);
+        var sprite = new this.classType(this.game, position.x + half, position.y + half, position.z, tile.tileset.key, tile.index - tile.tileset.firstgid);
+
+        if (tile.flipped) {
+            sprite.scale.x = -1;
+        }
+
+        sprite.setIsoBounds(this.tileSize, this.tileSize, this._anchorTileImage(sprite, tile, projected), -half, -half, 0);
+
+        tile.sprite = sprite;
+        group.add(sprite);
+
+        return sprite;
+    },
+
+    /**
+     * Set the anchor of an image showing a tile so that, placed at the centre of the square of the tile, the bottom of the image rests on the bottom corner of the
+     * square as it does in Tiled, shifted by any offset of the tileset.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#_anchorTileImage
+     * @param {Phaser.Image} image - The image, with the texture of the tile.
+     * @param {object} tile - The tile.
+     * @param {object} projected - The measurements of a projected tile, from IsoTilemap#_getProjectedTile.
+     * @return {number} The height the image rises to above the square, in 3D space.
+     * @private
+     */
+    _anchorTileImage: function (image, tile, projected) {
+        var frameHeight = Math.abs(image.height);
+        var rise = frameHeight - (projected.height * 0.5);
+
+        image.anchor.set(0.5 - (tile.tileset.offsetX / Math.abs(image.width)), (rise - tile.tileset.offsetY) / frameHeight);
+
+        return Math.max(0, (frameHeight - projected.height) / projected.scaleZ);
+    },
+
+    /**
+     * Measure the square of a tile of a given size once projected.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#_getProjectedTile
+     * @param {number} size - The size of the square.
+     * @return {object} The width and height of the projected square, and the number of pixels a distance of 1 along the z axis projects to (scaleZ).
+     * @private
+     */
+    _getProjectedTile: function (size) {
+        var projector = this.projector;
+        var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        var point = this._point;
+        var corner = new Phaser.Plugin.Isometric.Point3();
+
+        for (var i = 0; i < 4; i++) {
+            projector.project(corner.setTo((i & 1) ? size : 0, (i & 2) ? size : 0, 0), point);
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        }
+
+        var base = point.y;
+
+        projector.project(corner.setTo(size, size, 1), point);
+
+        return { width: maxX - minX, height: maxY - minY, scaleZ: Math.abs(base - point.y) };
+    },
+
+    /**
+     * Read a tileset from the map data.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#_parseTileset
+     * @param {object} data - The tileset data.
+     * @private
+     */
+    _parseTileset: function (data) {
+        var tileProperties = {};
+        var i;
+
+        //  Tile properties are saved as a list of tiles by newer versions of Tiled, and as an object keyed by id by older ones
+        if (Array.isArray(data.tiles)) {
+            for (i = 0; i < data.tiles.length; i++) {
+                tileProperties[data.tiles[i].id] = Phaser.Plugin.Isometric.IsoTilemap.parseProperties(data.tiles[i].properties);
+            }
+        }
+        else if (data.tileproperties) {
+            for (i in data.tileproperties) {
+                if (data.tileproperties.hasOwnProperty(i)) {
+                    tileProperties[i] = Phaser.Plugin.Isometric.IsoTilemap.parseProperties(data.tileproperties[i]);
+                }
+            }
+        }
+
+        this.tilesets.push({
+            name: data.name,
+            firstgid: data.firstgid,
+            key: data.name,
+            offsetX: data.tileoffset ? data.tileoffset.x : 0,
+            offsetY: data.tileoffset ? data.tileoffset.y : 0,
+            properties: Phaser.Plugin.Isometric.IsoTilemap.parseProperties(data.properties),
+            tileProperties: tileProperties
+        });
+    },
+
+    /**
+     * Read a tile layer from the map data.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#_parseLayer
+     * @param {object} data - The layer data.
+     * @private
+     */
+    _parseLayer: function (data) {
+        var properties = Phaser.Plugin.Isometric.IsoTilemap.parseProperties(data.properties);
+        var x, y, row;
+
+        var layer = {
+            name: data.name,
+            z: Number(properties.z) || 0,
+            visible: data.visible !== false,
+            alpha: (typeof data.opacity === 'undefined') ? 1 : data.opacity,
+            properties: properties,
+            tiles: [],
+            group: null,
+            chunks: null,
+            chunkSize: 0
+        };
+
+        for (y = 0; y < this.height; y++) {
+            row = [];
+
+            for (x = 0; x < this.width; x++) {
+                row.push(this._createTile(data.data[(y * this.width) + x] || 0, x, y, layer));
+            }
+
+            layer.tiles.push(row);
+        }
+
+        this.layers.push(layer);
+    },
+
+    /**
+     * Create a tile from its gid.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTilemap#_createTile
+     * @param {number} gid - The gid of the tile, as in Tiled, including any flags in its high bits.
+     * @param {number} x - The column of the tile in the map.
+     * @param {number} y - The row of the tile in the map.
+     * @param {object} layer - The layer the tile is on.
+     * @return {object|null} The tile, or null if the gid is 0 or belongs to no tileset.
+     * @private
+     */
+    _createTile: function (gid, x, y, layer) {
+        var flags = Phaser.Plugin.Isometric.IsoTilemap.FLIPPED_HORIZONTALLY | Phaser.Plugin.Isometric.IsoTilemap.FLIPPED_VERTICALLY | Phaser.Plugin.Isometric.IsoTilemap.FLIPPED_DIAGONALLY;
+        var index = (gid & ~flags) >>> 0;
+        var tilesets = this.tilesets;
+        var tileset = null;
+
+        for (var i = tilesets.length - 1; i >= 0 && index > 0; i--) {
+            if (tilesets[i].firstgid <= index) {
+                tileset = tilesets[i];
+                break;
+            }
+        }
+
+        if (!tileset) {
+            return null;
+        }
+
+        return {
+            index: index,
+            tileset: tileset,
+            x: x,
+            y: y,
+            layer: layer,
+            properties: tileset.tileProperties[index - tileset.firstgid] || {},
+            flipped: (gid & Phaser.Plugin.Isometric.IsoTilemap.FLIPPED_HORIZONTALLY) !== 0,
+            worldPosition: this.tileToWorld(x, y, layer.z),
+            sprite: null
+        };
+    }
+
+};
+
+Phaser.Plugin.Isometric.IsoTilemap.prototype.constructor = Phaser.Plugin.Isometric.IsoTilemap;
+
+/**
+ * Turn custom properties from Tiled into an object of names and values. Newer versions of Tiled save them as a list of objects with a name, type and value, while
+ * older ones save an object.
+ *
+ * @method Phaser.Plugin.Isometric.IsoTilemap.parseProperties
+ * @param {array|object} [properties] - The properties from the map data.
+ * @return {object} The properties, keyed by name.
+ */
+Phaser.Plugin.Isometric.IsoTilemap.parseProperties = function (properties) {
+    var out = {};
+    var i;
+
+    if (Array.isArray(properties)) {
+        for (i = 0; i < properties.length; i++) {
+            out[properties[i].name] = properties[i].value;
+        }
+    }
+    else if (properties) {
+        for (i in properties) {
+            if (properties.hasOwnProperty(i)) {
+                out[i] = properties[i];
+            }
+        }
+    }
+
+    return out;
+};
+
+/**
+ * Create a new IsoTilemap from a Tiled isometric or staggered map.
+ *
+ * @method Phaser.GameObjectCreator#isoTilemap
+ * @param {string|object} key - The key of the map data in the cache, or the parsed map data.
+ * @param {number} [tileSize] - The size of each tile along the x and y axes of 3D space. Defaults to the size which projects to the tile width of the map.
+ * @returns {Phaser.Plugin.Isometric.IsoTilemap} The newly created IsoTilemap.
+ */
+Phaser.GameObjectCreator.prototype.isoTilemap = function (key, tileSize) {
+
+    return new Phaser.Plugin.Isometric.IsoTilemap(this.game, key, tileSize);
+
+};
+
+/**
+ * Create a new IsoTilemap from a Tiled isometric or staggered map.
+ *
+ * @method Phaser.GameObjectFactory#isoTilemap
+ * @param {string|object} key - The key of the map data in the cache, or the parsed map data.
+ * @param {number} [tileSize] - The size of each tile along the x and y axes of 3D space. Defaults to the size which projects to the tile width of the map.
+ * @returns {Phaser.Plugin.Isometric.IsoTilemap} The newly created IsoTilemap.
+ */
+Phaser.GameObjectFactory.prototype.isoTilemap = function (key, tileSize) {
+
+    return new Phaser.Plugin.Isometric.IsoTilemap(this.game, key, tileSize);
+
+};
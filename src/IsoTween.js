@@ -0,0 +1,244 @@
+/**
+ * @class Phaser.Plugin.Isometric.IsoTween
+ *
+ * @classdesc
+ * Creates a new IsoTween, which moves an iso display object through 3D space to a Point3, or along a list of Point3s, using Phaser's tween manager. Each leg of the
+ * path takes a share of the duration in proportion to its length, and an arc can be added on top for jumps and throws, rising to arcHeight above the path halfway
+ * through. Usually created with IsoObject#moveTo or Projector#tween.
+ *
+ * While the tween runs, any physics body of the object is made kinematic; it stops moving under its own velocity and becomes immovable, so it pushes other bodies
+ * aside rather than being pushed off the path. The body is restored when the tween completes or is stopped.
+ *
+ * @constructor
+ * @param {Phaser.Game} game - The current game object.
+ * @param {PIXI.DisplayObject} object - The iso display object to move.
+ * @param {Phaser.Plugin.Isometric.Point3|Array.<Phaser.Plugin.Isometric.Point3>} path - The position to move to, or a list of positions to move through in turn, in the
+ * same space as the isoPosition of the object.
+ * @param {number} [duration=1000] - The duration of the tween in ms.
+ * @param {object} [options] - Further settings; any of arcHeight (the height of the arc, defaulting to 0 for a straight line), easing (a Phaser.Easing function or
+ * name, defaulting to Phaser.Easing.Default) and delay (in ms, defaulting to 0).
+ */
+Phaser.Plugin.Isometric.IsoTween = function (game, object, path, duration, options) {
+
+    options = options || {};
+
+    /**
+     * @property {Phaser.Game} game - The current game object.
+     */
+    this.game = game;
+
+    /**
+     * @property {PIXI.DisplayObject} object - The iso display object being moved.
+     * @readonly
+     */
+    this.object = object;
+
+    /**
+     * @property {number} arcHeight - The height of the arc above the path halfway through the tween.
+     */
+    this.arcHeight = options.arcHeight || 0;
+
+    /**
+     * @property {Phaser.Signal} onStart - Dispatched with this IsoTween when it starts moving the object, after any delay.
+     */
+    this.onStart = new Phaser.Signal();
+
+    /**
+     * @property {Phaser.Signal} onComplete - Dispatched with this IsoTween when the object reaches the end of the path.
+     */
+    this.onComplete = new Phaser.Signal();
+
+    /**
+     * @property {boolean} isRunning - True while the object is being moved.
+     * @readonly
+     */
+    this.isRunning = false;
+
+    /**
+     * @property {array} _points - The positions to move through, starting with the position of the object when the tween starts.
+     * @private
+     */
+    this._points = [new Phaser.Plugin.Isometric.Point3()];
+
+    /**
+     * @property {array} _lengths - The distance along the path at each of its points.
+     * @private
+     */
+    this._lengths = [0];
+
+    /**
+     * @property {number} _progress - The cached progress along the path.
+     * @private
+     */
+    this._progress = 0;
+
+    /**
+     * @property {object} _body - The settings of the physics body of the object from before it was made kinematic.
+     * @private
+     */
+    this._body = null;
+
+    if (!Array.isArray(path)) {
+        path = [path];
+    }
+
+    for (var i = 0; i < path.length; i++) {
+        this._points.push(new Phaser.Plugin.Isometric.Point3(path[i].x, path[i].y, path[i].z));
+    }
+
+    /**
+     * @property {Phaser.Tween} tween - The Phaser tween driving this IsoTween.
+     * @readonly
+     */
+    this.tween = game.add.tween(this).to({ progress: 1 }, (typeof duration === 'undefined') ? 1000 : duration, options.easing, false, options.delay || 0);
+
+    this.tween.onComplete.add(this._complete, this);
+
+};
+
+Phaser.Plugin.Isometric.IsoTween.prototype = {
+
+    /**
+     * Start the tween. If the object is already being moved by another IsoTween, that one is stopped.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTween#start
+     * @return {Phaser.Plugin.Isometric.IsoTween} This IsoTween.
+     */
+    start: function () {
+        if (this.object._isoTween && this.object._isoTween !== this) {
+            this.object._isoTween.stop();
+        }
+
+        this.object._isoTween = this;
+        this._progress = 0;
+        this.isRunning = false;
+        this.tween.start();
+
+        return this;
+    },
+
+    /**
+     * Stop the tween, leaving the object where it is and restoring its physics body.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTween#stop
+     * @param {boolean} [complete=false] - Set to true to move the object to the end of the path and dispatch onComplete.
+     * @return {Phaser.Plugin.Isometric.IsoTween} This IsoTween.
+     */
+    stop: function (complete) {
+        this.tween.stop();
+
+        if (complete) {
+            this.progress = 1;
+            this._complete();
+        }
+        else {
+            this._finish();
+        }
+
+        return this;
+    },
+
+    /**
+     * Set up the path from where the object is and make its physics body kinematic. Called when the progress is first set, after any delay.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTween#_start
+     * @private
+     */
+    _start: function () {
+        var object = this.object;
+        var body = object.body;
+        var points = this._points;
+        var i, dx, dy, dz;
+
+        points[0].copyFrom(object.isoPosition);
+
+        for (i = 1; i < points.length; i++) {
+            dx = points[i].x - points[i - 1].x;
+            dy = points[i].y - points[i - 1].y;
+            dz = points[i].z - points[i - 1].z;
+            this._lengths[i] = this._lengths[i - 1] + Math.sqrt((dx * dx) + (dy * dy) + (dz * dz));
+        }
+
+        if (body && !this._body) {
+            this._body = { moves: body.moves, immovable: body.immovable };
+            body.moves = false;
+            body.immovable = true;
+            body.velocity.setTo(0, 0, 0);
+        }
+
+        this.isRunning = true;
+        this.onStart.dispatch(this);
+    },
+
+    /**
+     * Called when the Phaser tween completes.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTween#_complete
+     * @private
+     */
+    _complete: function () {
+        this._finish();
+        this.onComplete.dispatch(this);
+    },
+
+    /**
+     * Restore the physics body of the object and let go of it.
+     *
+     * @method Phaser.Plugin.Isometric.IsoTween#_finish
+     * @private
+     */
+    _finish: function () {
+        if (this._body && this.object.body) {
+            this.object.body.moves = this._body.moves;
+            this.object.body.immovable = this._body.immovable;
+        }
+
+        this._body = null;
+        this.isRunning = false;
+
+        if (this.object._isoTween === this) {
+            this.object._isoTween = null;
+        }
+    }
+
+};
+
+Phaser.Plugin.Isometric.IsoTween.prototype.constructor = Phaser.Plugin.Isometric.IsoTween;
+
+/**
+ * How far along the path the object is, from 0 at the start to 1 at the end. This is the value tweened by Phaser; setting it moves the object.
+ *
+ * @name Phaser.Plugin.Isometric.IsoTween#progress
+ * @property {number} progress - How far along the path the object is.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.IsoTween.prototype, "progress", {
+    get: function () {
+        return this._progress;
+    },
+    set: function (value) {
+        if (!this.isRunning) {
+            this._start();
+        }
+
+        var points = this._points;
+        var lengths = this._lengths;
+        var distance = value * lengths[lengths.length - 1];
+        var i = 1;
+
+        this._progress = value;
+
+        //  Find the leg of the path the distance falls within
+        while (i < points.length - 1 && distance > lengths[i]) {
+            i++;
+        }
+
+        var from = points[i - 1];
+        var to = points[i];
+        var leg = lengths[i] - lengths[i - 1];
+        var t = (leg > 0) ? (distance - lengths[i - 1]) / leg : 1;
+
+        this.object.isoX = from.x + ((to.x - from.x) * t);
+        this.object.isoY = from.y + ((to.y - from.y) * t);
+        this.object.isoZ = from.z + ((to.z - from.z) * t) + (this.arcHeight * 4 * value * (1 - value));
+    }
+});
@@ -41,7 +41,7 @@
  * 
  * @constructor
  * @param {Phaser.Game} game The current game instance.
- * @param {number} isometricType - the isometric projection angle to use.
+ * @param {number|object} isometricType - the isometric projection angle to use, or a projection strategy such as a Phaser.Plugin.Isometric.ObliqueProjection.
  */
 Phaser.Plugin.Isometric = function (game, parent, isometricType) {
 
@@ -66,6 +66,18 @@ Phaser.Plugin.Isometric.FORWARDY = 3;
 Phaser.Plugin.Isometric.BACKWARDX = 4;
 Phaser.Plugin.Isometric.BACKWARDY = 5;
 
+//  Compass consts, clockwise from straight up the screen
+Phaser.Plugin.Isometric.COMPASS_16 = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
 //  Type consts
 Phaser.Plugin.Isometric.ISOSPRITE = 'isosprite';
+Phaser.Plugin.Isometric.ISOIMAGE = 'isoimage';
+Phaser.Plugin.Isometric.ISOTEXT = 'isotext';
+Phaser.Plugin.Isometric.ISOTILESPRITE = 'isotilesprite';
 Phaser.Plugin.Isometric.ISOARCADE = 'isoarcade';
+
+//  Layer consts
+Phaser.Plugin.Isometric.LAYER_GROUND = -2;
+Phaser.Plugin.Isometric.LAYER_FLOOR = -1;
+Phaser.Plugin.Isometric.LAYER_DEFAULT = 0;
+Phaser.Plugin.Isometric.LAYER_OVERHEAD = 1;
@@ -0,0 +1,370 @@
+/**
+ * @class Phaser.Plugin.Isometric.Marquee
+ *
+ * @classdesc
+ * Creates a new Marquee, which finds the iso display objects within a rectangle dragged out on the screen, for RTS-style selection. Two modes are available:
+ * Phaser.Plugin.Isometric.SELECT_GROUND unprojects the rectangle onto the ground at Marquee#groundZ, giving a parallelogram, and selects the objects whose footprint
+ * has its centre within it, while Phaser.Plugin.Isometric.SELECT_SCREEN selects the objects whose projected isoBounds overlap the rectangle on the screen.
+ *
+ * The objects are held in an Octree so that only those near the rectangle are tested. Call Marquee#begin when the drag starts and Marquee#update as it moves to
+ * preview the selection each frame without rebuilding the Octree, or Marquee#select to find a selection in one go.
+ *
+ * @constructor
+ * @param {Phaser.Game} game - The current game object.
+ * @param {Phaser.Group|array} [group] - The Group (including any Groups within it) or array of iso display objects to select from. Defaults to the game world.
+ * @param {number} [mode] - Either Phaser.Plugin.Isometric.SELECT_GROUND (the default) or SELECT_SCREEN.
+ */
+Phaser.Plugin.Isometric.Marquee = function (game, group, mode) {
+
+    /**
+     * @property {Phaser.Game} game - The current game object.
+     */
+    this.game = game;
+
+    /**
+     * @property {Phaser.Group|array} group - The Group or array of iso display objects to select from.
+     */
+    this.group = group || game.world;
+
+    /**
+     * @property {number} mode - Either Phaser.Plugin.Isometric.SELECT_GROUND or SELECT_SCREEN.
+     */
+    this.mode = (typeof mode === 'undefined') ? Phaser.Plugin.Isometric.SELECT_GROUND : mode;
+
+    /**
+     * @property {number} groundZ - The height of the ground the rectangle is unprojected onto in SELECT_GROUND mode.
+     * @default
+     */
+    this.groundZ = 0;
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Projector} projector - The Projector used to map between the screen and 3D space. Defaults to the Projector of the group.
+     */
+    this.projector = null;
+
+    /**
+     * @property {array} selected - The objects found by the last call to Marquee#update or Marquee#select.
+     * @readonly
+     */
+    this.selected = [];
+
+    /**
+     * @property {Array.<Phaser.Plugin.Isometric.Point3>} corners - The corners of the rectangle unprojected onto the ground by the last selection, in SELECT_GROUND mode.
+     * @readonly
+     */
+    this.corners = [
+        new Phaser.Plugin.Isometric.Point3(),
+        new Phaser.Plugin.Isometric.Point3(),
+        new Phaser.Plugin.Isometric.Point3(),
+        new Phaser.Plugin.Isometric.Point3()
+    ];
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Octree} octree - The Octree holding the objects to select from, built by Marquee#begin.
+     * @readonly
+     */
+    this.octree = new Phaser.Plugin.Isometric.Octree(0, 0, 0, 0, 0, 0);
+
+    /**
+     * @property {Phaser.Point} _start - The screen position the drag started at.
+     * @private
+     */
+    this._start = new Phaser.Point();
+
+    /**
+     * @property {array} _entries - The bounds of the objects held in the Octree, along with the objects themselves.
+     * @private
+     */
+    this._entries = [];
+
+    /**
+     * @property {number} _minZ - The bottom of the lowest object held in the Octree.
+     * @private
+     */
+    this._minZ = 0;
+
+    /**
+     * @property {number} _maxZ - The top of the highest object held in the Octree.
+     * @private
+     */
+    this._maxZ = 0;
+
+    /**
+     * @property {object} _range - Internal cache var.
+     * @private
+     */
+    this._range = { x: 0, y: 0, z: -Infinity, frontX: 0, frontY: 0, top: Infinity };
+
+    /**
+     * @property {Phaser.Polygon} _polygon - Internal cache var.
+     * @private
+     */
+    this._polygon = new Phaser.Polygon();
+
+    /**
+     * @property {Phaser.Rectangle} _rect - Internal cache var.
+     * @private
+     */
+    this._rect = new Phaser.Rectangle();
+
+    /**
+     * @property {Phaser.Rectangle} _bounds - Internal cache var.
+     * @private
+     */
+    this._bounds = new Phaser.Rectangle();
+
+    /**
+     * @property {Phaser.Point} _point - Internal cache var.
+     * @private
+     */
+    this._point = new Phaser.Point();
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Point3} _point3 - Internal cache var.
+     * @private
+     */
+    this._point3 = new Phaser.Plugin.Isometric.Point3();
+
+};
+
+//  Selection modes
+Phaser.Plugin.Isometric.SELECT_GROUND = 0;
+Phaser.Plugin.Isometric.SELECT_SCREEN = 1;
+
+Phaser.Plugin.Isometric.Marquee.prototype = {
+
+    /**
+     * Start a drag at a screen position, filling the Octree with the objects as they are now.
+     *
+     * @method Phaser.Plugin.Isometric.Marquee#begin
+     * @param {Phaser.Point|Phaser.Pointer} point - The screen position the drag starts at.
+     */
+    begin: function (point) {
+        point = point.position || point;
+
+        var projector = this._getProjector();
+        var candidates = projector._getPickCandidates(this.group.children || this.group, []);
+        var entries = this._entries;
+        var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        var i, entry;
+
+        this._start.setTo(point.x, point.y);
+        this._minZ = Infinity;
+        this._maxZ = -Infinity;
+
+        for (i = 0; i < candidates.length; i++) {
+            if (!entries[i]) {
+                entries[i] = { x: 0, y: 0, z: 0, frontX: 0, frontY: 0, top: 0, object: null };
+            }
+
+            entry = this._setEntry(entries[i], candidates[i]);
+
+            minX = Math.min(minX, entry.x);
+            minY = Math.min(minY, entry.y);
+            maxX = Math.max(maxX, entry.frontX);
+            maxY = Math.max(maxY, entry.frontY);
+            this._minZ = Math.min(this._minZ, entry.z);
+            this._maxZ = Math.max(this._maxZ, entry.top);
+        }
+
+        entries.length = candidates.length;
+
+        this.octree.clear();
+
+        if (entries.length === 0) {
+            return;
+        }
+
+        //  Pad the Octree slightly so that everything fits inside it
+        this.octree.reset(minX - 1, minY - 1, this._minZ - 1, maxX - minX + 2, maxY - minY + 2, this._maxZ - this._minZ + 2);
+
+        for (i = 0; i < entries.length; i++) {
+            this.octree.insert(entries[i]);
+        }
+    },
+
+    /**
+     * Bring the Octree up to date with any objects which have moved or changed size since Marquee#begin, moving their entries within it rather than rebuilding it.
+     * Objects added or removed since aren't picked up; call Marquee#begin again for those.
+     *
+     * @method Phaser.Plugin.Isometric.Marquee#refresh
+     */
+    refresh: function () {
+        var entries = this._entries;
+        var i, entry, bounds;
+
+        for (i = 0; i < entries.length; i++) {
+            entry = entries[i];
+            bounds = entry.object.isoBounds;
+
+            if (entry.x === bounds.x && entry.y === bounds.y && entry.z === bounds.z && entry.frontX === bounds.frontX && entry.frontY === bounds.frontY && entry.top === bounds.top) {
+                continue;
+            }
+
+            //  The Octree finds entries by their bounds, so take it out before they change
+            this.octree.remove(entry);
+            this.octree.insert(this._setEntry(entry, entry.object));
+
+            this._minZ = Math.min(this._minZ, entry.z);
+            this._maxZ = Math.max(this._maxZ, entry.top);
+        }
+    },
+
+    /**
+     * Find the objects within the rectangle between the screen position the drag started at and the current one.
+     *
+     * @method Phaser.Plugin.Isometric.Marquee#update
+     * @param {Phaser.Point|Phaser.Pointer} point - The current screen position of the drag.
+     * @return {array} The selected objects.
+     */
+    update: function (point) {
+        point = point.position || point;
+
+        var rect = this._rect;
+        var found, i;
+
+        rect.setTo(Math.min(this._start.x, point.x), Math.min(this._start.y, point.y), Math.abs(point.x - this._start.x), Math.abs(point.y - this._start.y));
+
+        this.selected.length = 0;
+
+        if (this._entries.length === 0) {
+            return this.selected;
+        }
+
+        if (this.mode === Phaser.Plugin.Isometric.SELECT_SCREEN) {
+            found = this.octree.query(this._getRange(rect, this._minZ, this._maxZ));
+
+            for (i = 0; i < found.length; i++) {
+                if (Phaser.Rectangle.intersects(this._projectScreen(found[i]), rect)) {
+                    this.selected.push(found[i].object);
+                }
+            }
+        }
+        else {
+            found = this.octree.query(this._getRange(rect, this.groundZ, this.groundZ));
+
+            this._polygon.setTo(this.corners);
+
+            for (i = 0; i < found.length; i++) {
+                if (this._polygon.contains((found[i].x + found[i].frontX) * 0.5, (found[i].y + found[i].frontY) * 0.5)) {
+                    this.selected.push(found[i].object);
+                }
+            }
+        }
+
+        return this.selected;
+    },
+
+    /**
+     * Find the objects within a rectangle on the screen in one go.
+     *
+     * @method Phaser.Plugin.Isometric.Marquee#select
+     * @param {Phaser.Point|Phaser.Pointer} start - One corner of the rectangle.
+     * @param {Phaser.Point|Phaser.Pointer} end - The opposite corner of the rectangle.
+     * @return {array} The selected objects.
+     */
+    select: function (start, end) {
+        this.begin(start);
+
+        return this.update(end);
+    },
+
+    /**
+     * Copy the bounds of an object into an Octree entry.
+     *
+     * @method Phaser.Plugin.Isometric.Marquee#_setEntry
+     * @param {object} entry - The entry.
+     * @param {PIXI.DisplayObject} object - The iso display object.
+     * @return {object} The entry.
+     * @private
+     */
+    _setEntry: function (entry, object) {
+        var bounds = object.isoBounds;
+
+        entry.x = bounds.x;
+        entry.y = bounds.y;
+        entry.z = bounds.z;
+        entry.frontX = bounds.frontX;
+        entry.frontY = bounds.frontY;
+        entry.top = bounds.top;
+        entry.object = object;
+
+        return entry;
+    },
+
+    /**
+     * Get the Projector used to map between the screen and 3D space.
+     *
+     * @method Phaser.Plugin.Isometric.Marquee#_getProjector
+     * @return {Phaser.Plugin.Isometric.Projector} The Projector.
+     * @private
+     */
+    _getProjector: function () {
+        var group = this.group.children ? this.group : this.game.world;
+
+        return this.projector || group.projector || Phaser.Plugin.Isometric.Projector.getProjector(group, this.game);
+    },
+
+    /**
+     * Unproject the corners of a screen rectangle onto two heights, storing those on the lower height in Marquee#corners, and get the range of 3D space they span.
+     *
+     * @method Phaser.Plugin.Isometric.Marquee#_getRange
+     * @param {Phaser.Rectangle} rect - The screen rectangle.
+     * @param {number} minZ - The lower height.
+     * @param {number} maxZ - The upper height.
+     * @return {object} The range, unbounded on the z axis, for Octree#query.
+     * @private
+     */
+    _getRange: function (rect, minZ, maxZ) {
+        var projector = this._getProjector();
+        var range = this._range;
+        var point = this._point;
+        var corner, i;
+
+        range.x = range.y = Infinity;
+        range.frontX = range.frontY = -Infinity;
+
+        for (i = 0; i < 8; i++) {
+            //  Clockwise around the rectangle, once on each height
+            point.setTo(((i & 3) === 1 || (i & 3) === 2) ? rect.right : rect.x, (i & 2) ? rect.bottom : rect.y);
+            corner = (i < 4) ? this.corners[i] : this._point3;
+            projector.unproject(point, corner, (i < 4) ? minZ : maxZ);
+
+            range.x = Math.min(range.x, corner.x);
+            range.y = Math.min(range.y, corner.y);
+            range.frontX = Math.max(range.frontX, corner.x);
+            range.frontY = Math.max(range.frontY, corner.y);
+        }
+
+        return range;
+    },
+
+    /**
+     * Get the rectangle on the screen which encloses the projected bounds of an Octree entry.
+     *
+     * @method Phaser.Plugin.Isometric.Marquee#_projectScreen
+     * @param {object} entry - The entry.
+     * @return {Phaser.Rectangle} The enclosing rectangle.
+     * @private
+     */
+    _projectScreen: function (entry) {
+        var projector = this._getProjector();
+        var point = this._point;
+        var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        for (var i = 0; i < 8; i++) {
+            this._point3.setTo((i & 4) ? entry.frontX : entry.x, (i & 2) ? entry.frontY : entry.y, (i & 1) ? entry.top : entry.z);
+            projector.projectScreen(this._point3, point);
+
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        }
+
+        return this._bounds.setTo(minX, minY, maxX - minX, maxY - minY);
+    }
+
+};
+
+Phaser.Plugin.Isometric.Marquee.prototype.constructor = Phaser.Plugin.Isometric.Marquee;
@@ -0,0 +1,414 @@
+/**
+ * @class Phaser.Plugin.Isometric.Occlusion
+ *
+ * @classdesc
+ * Creates a new Occlusion object, which finds the IsoSprites hiding a set of important IsoSprites (its targets, such as the player) from view and treats them so that the
+ * targets can still be seen. An IsoSprite is an occluder of a target if it is drawn in front of the target and the projected rectangles of their isoBounds overlap.
+ * Call Occlusion#update with the group being sorted once it has been sorted each frame, or set it as the occlusion of an IsoGroup to have this done automatically.
+ *
+ * Three treatments are available: Phaser.Plugin.Isometric.OCCLUSION_FADE fades the occluders, Phaser.Plugin.Isometric.OCCLUSION_CUTAWAY crops the occluders down to a stub
+ * and Phaser.Plugin.Isometric.OCCLUSION_SILHOUETTE leaves the occluders alone and draws a silhouette of each hidden target over the top of them.
+ *
+ * @constructor
+ * @param {Phaser.Game} game - The current game object.
+ * @param {number} [mode] - The treatment applied to occluders. Defaults to Phaser.Plugin.Isometric.OCCLUSION_FADE.
+ */
+Phaser.Plugin.Isometric.Occlusion = function (game, mode) {
+
+    /**
+     * @property {Phaser.Game} game - The current game object.
+     */
+    this.game = game;
+
+    /**
+     * @property {number} mode - The treatment applied to occluders; one of Phaser.Plugin.Isometric.OCCLUSION_FADE, OCCLUSION_CUTAWAY or OCCLUSION_SILHOUETTE.
+     */
+    this.mode = (typeof mode === 'undefined') ? Phaser.Plugin.Isometric.OCCLUSION_FADE : mode;
+
+    /**
+     * @property {array} targets - The IsoSprites which should be kept visible.
+     */
+    this.targets = [];
+
+    /**
+     * @property {array} occluders - The IsoSprites found to be occluding a target during the last update.
+     * @readonly
+     */
+    this.occluders = [];
+
+    /**
+     * @property {array} occluded - The targets found to be occluded during the last update.
+     * @readonly
+     */
+    this.occluded = [];
+
+    /**
+     * @property {number} fadeAlpha - The alpha occluders are faded to by Phaser.Plugin.Isometric.OCCLUSION_FADE.
+     * @default
+     */
+    this.fadeAlpha = 0.3;
+
+    /**
+     * @property {number} cutawayHeight - How much of the height of occluders (in 3D space) is left standing by Phaser.Plugin.Isometric.OCCLUSION_CUTAWAY.
+     * @default
+     */
+    this.cutawayHeight = 0;
+
+    /**
+     * @property {number} silhouetteTint - The tint of the silhouettes drawn by Phaser.Plugin.Isometric.OCCLUSION_SILHOUETTE.
+     * @default
+     */
+    this.silhouetteTint = 0x000000;
+
+    /**
+     * @property {number} silhouetteAlpha - The alpha of the silhouettes drawn by Phaser.Plugin.Isometric.OCCLUSION_SILHOUETTE.
+     * @default
+     */
+    this.silhouetteAlpha = 0.5;
+
+    /**
+     * @property {Phaser.Group} overlay - The Group the silhouettes are drawn in, placed directly above the parent of the targets. Created when first needed.
+     * @readonly
+     */
+    this.overlay = null;
+
+    /**
+     * @property {number} _mode - The treatment currently applied to the occluders.
+     * @private
+     */
+    this._mode = this.mode;
+
+    /**
+     * @property {array} _found - The occluders found during the current update.
+     * @private
+     */
+    this._found = [];
+
+    /**
+     * @property {Phaser.Rectangle} _targetRect - The projected rectangle of the target being checked.
+     * @private
+     */
+    this._targetRect = new Phaser.Rectangle();
+
+    /**
+     * @property {Phaser.Rectangle} _rect - The projected rectangle of the possible occluder being checked.
+     * @private
+     */
+    this._rect = new Phaser.Rectangle();
+
+    /**
+     * @property {array} _targetBounds - The sort bounds of the target being checked.
+     * @private
+     */
+    this._targetBounds = [];
+
+    /**
+     * @property {array} _bounds - The sort bounds of the possible occluder being checked.
+     * @private
+     */
+    this._bounds = [];
+
+};
+
+//  Occlusion treatments
+Phaser.Plugin.Isometric.OCCLUSION_FADE = 0;
+Phaser.Plugin.Isometric.OCCLUSION_CUTAWAY = 1;
+Phaser.Plugin.Isometric.OCCLUSION_SILHOUETTE = 2;
+
+Phaser.Plugin.Isometric.Occlusion.prototype = {
+
+    /**
+     * Add an IsoSprite to the targets which should be kept visible.
+     *
+     * @method Phaser.Plugin.Isometric.Occlusion#addTarget
+     * @param {Phaser.Plugin.Isometric.IsoSprite} sprite - The IsoSprite to keep visible.
+     * @return {Phaser.Plugin.Isometric.IsoSprite} The IsoSprite.
+     */
+    addTarget: function (sprite) {
+        if (this.targets.indexOf(sprite) === -1) {
+            this.targets.push(sprite);
+        }
+
+        return sprite;
+    },
+
+    /**
+     * Remove an IsoSprite from the targets. Its occluders are restored on the next update.
+     *
+     * @method Phaser.Plugin.Isometric.Occlusion#removeTarget
+     * @param {Phaser.Plugin.Isometric.IsoSprite} sprite - The IsoSprite to remove.
+     */
+    removeTarget: function (sprite) {
+        var index = this.targets.indexOf(sprite);
+
+        if (index !== -1) {
+            this.targets.splice(index, 1);
+        }
+    },
+
+    /**
+     * Find the IsoSprites in the passed group or array which occlude the targets, apply the treatment to any newly found and restore any which no longer occlude.
+     *
+     * @method Phaser.Plugin.Isometric.Occlusion#update
+     * @param {Phaser.Group|array} group - A sorted group or array of IsoSprites, which may include the targets.
+     */
+    update: function (group) {
+        var children = (group instanceof Phaser.Group) ? group.children : group;
+        var found = this._found;
+        var i, j, target, targetIndex, child, projector, hidden;
+
+        if (this.mode !== this._mode) {
+            this.restore();
+            this._mode = this.mode;
+        }
+
+        found.length = 0;
+        this.occluded.length = 0;
+
+        for (i = 0; i < this.targets.length; i++) {
+            target = this.targets[i];
+
+            if (!target.exists || !target.visible) {
+                continue;
+            }
+
+            projector = target.projector;
+            projector.projectCube(target.isoBounds, this._targetRect);
+            projector.getSortBounds(target, this._targetBounds, 0);
+            targetIndex = children.indexOf(target);
+            hidden = false;
+
+            for (j = 0; j < children.length; j++) {
+                child = children[j];
+
+                if (child === target || !child.exists || !child.visible || this.targets.indexOf(child) !== -1) {
+                    continue;
+                }
+
+                if (this._isInFront(child, j, target, targetIndex, projector) && Phaser.Rectangle.intersects(projector.projectCube(child.isoBounds, this._rect), this._targetRect)) {
+                    if (found.indexOf(child) === -1) {
+                        found.push(child);
+                    }
+
+                    hidden = true;
+                }
+            }
+
+            if (hidden) {
+                this.occluded.push(target);
+            }
+        }
+
+        for (i = 0; i < this.occluders.length; i++) {
+            if (found.indexOf(this.occluders[i]) === -1) {
+                this._restoreOccluder(this.occluders[i]);
+            }
+        }
+
+        for (i = 0; i < found.length; i++) {
+            if (this.occluders.indexOf(found[i]) === -1) {
+                this._treatOccluder(found[i]);
+            }
+        }
+
+        this._found = this.occluders;
+        this.occluders = found;
+
+        if (this._mode === Phaser.Plugin.Isometric.OCCLUSION_SILHOUETTE) {
+            this._updateSilhouettes();
+        }
+    },
+
+    /**
+     * Restore every occluder to how it was before it was treated, and hide any silhouettes.
+     *
+     * @method Phaser.Plugin.Isometric.Occlusion#restore
+     */
+    restore: function () {
+        for (var i = 0; i < this.occluders.length; i++) {
+            this._restoreOccluder(this.occluders[i]);
+        }
+
+        this.occluders.length = 0;
+        this.occluded.length = 0;
+
+        if (this.overlay) {
+            this.overlay.setAll('visible', false);
+        }
+    },
+
+    /**
+     * Restore every occluder and destroy the silhouettes.
+     *
+     * @method Phaser.Plugin.Isometric.Occlusion#destroy
+     */
+    destroy: function () {
+        this.restore();
+
+        if (this.overlay) {
+            this.overlay.destroy();
+            this.overlay = null;
+        }
+
+        this.targets.length = 0;
+    },
+
+    /**
+     * Determine whether a possible occluder is drawn in front of a target. If they are both being checked in the same group their order is used, otherwise their layers
+     * and bounds are compared in the same way as the depth sorts.
+     *
+     * @method Phaser.Plugin.Isometric.Occlusion#_isInFront
+     * @param {Phaser.Plugin.Isometric.IsoSprite} sprite - The possible occluder.
+     * @param {number} index - The index of the possible occluder in the group being checked.
+     * @param {Phaser.Plugin.Isometric.IsoSprite} target - The target.
+     * @param {number} targetIndex - The index of the target in the group being checked, or -1 if it isn't in it.
+     * @param {Phaser.Plugin.Isometric.Projector} projector - The Projector of the target.
+     * @return {boolean} True if the possible occluder is drawn in front of the target.
+     * @private
+     */
+    _isInFront: function (sprite, index, target, targetIndex, projector) {
+        if (targetIndex !== -1) {
+            return index > targetIndex;
+        }
+
+        if (sprite.isoLayer !== target.isoLayer) {
+            return sprite.isoLayer > target.isoLayer;
+        }
+
+        var a = this._targetBounds;
+        var b = projector.getSortBounds(sprite, this._bounds, 0);
+
+        return a[0] < b[3] && a[1] < b[4] && a[2] < b[5];
+    },
+
+    /**
+     * Apply the current treatment to a newly found occluder, remembering what is needed to restore it.
+     *
+     * @method Phaser.Plugin.Isometric.Occlusion#_treatOccluder
+     * @param {Phaser.Plugin.Isometric.IsoSprite} sprite - The occluder.
+     * @private
+     */
+    _treatOccluder: function (sprite) {
+        var state = {
+            alpha: sprite.alpha,
+            anchorY: sprite.anchor.y,
+            cropRect: sprite.cropRect ? new Phaser.Rectangle(sprite.cropRect.x, sprite.cropRect.y, sprite.cropRect.width, sprite.cropRect.height) : null,
+            customIsoBounds: sprite._customIsoBounds
+        };
+
+        sprite._isoOcclusion = state;
+
+        if (this._mode === Phaser.Plugin.Isometric.OCCLUSION_FADE) {
+            sprite.alpha = Math.min(sprite.alpha, this.fadeAlpha);
+        }
+        else if (this._mode === Phaser.Plugin.Isometric.OCCLUSION_CUTAWAY) {
+            var bounds = sprite.isoBounds;
+            var position = sprite.isoWorldPosition;
+            var frame = state.cropRect || new Phaser.Rectangle(0, 0, sprite.texture.frame.width, sprite.texture.frame.height);
+            var cut = (bounds.height - this.cutawayHeight) * sprite.projector.scaleZ / Math.abs(sprite.scale.y);
+
+            cut = Phaser.Math.clamp(Math.round(cut), 0, frame.height - 1);
+
+            if (cut === 0) {
+                return;
+            }
+
+            //  Cropping changes the size of the IsoSprite, so its bounds are fixed where they were to keep it sorting and occluding as before
+            sprite._customIsoBounds = new Phaser.Plugin.Isometric.Cube(bounds.x - position.x, bounds.y - position.y, bounds.z - position.z, bounds.widthX, bounds.widthY, bounds.height);
+            sprite.crop(new Phaser.Rectangle(frame.x, frame.y + cut, frame.width, frame.height - cut));
+
+            //  Keep the remaining part of the texture drawn where it was
+            sprite.anchor.y = ((state.anchorY * frame.height) - cut) / (frame.height - cut);
+            sprite._isoBoundsChanged = true;
+        }
+    },
+
+    /**
+     * Restore an occluder to how it was before it was treated.
+     *
+     * @method Phaser.Plugin.Isometric.Occlusion#_restoreOccluder
+     * @param {Phaser.Plugin.Isometric.IsoSprite} sprite - The occluder.
+     * @private
+     */
+    _restoreOccluder: function (sprite) {
+        var state = sprite._isoOcclusion;
+
+        if (!state) {
+            return;
+        }
+
+        if (this._mode === Phaser.Plugin.Isometric.OCCLUSION_FADE) {
+            sprite.alpha = state.alpha;
+        }
+        else if (this._mode === Phaser.Plugin.Isometric.OCCLUSION_CUTAWAY && sprite._customIsoBounds !== state.customIsoBounds) {
+            sprite.crop(state.cropRect);
+            sprite.anchor.y = state.anchorY;
+            sprite._customIsoBounds = state.customIsoBounds;
+            sprite._isoBoundsChanged = true;
+        }
+
+        sprite._isoOcclusion = null;
+    },
+
+    /**
+     * Position a silhouette over each occluded target, creating the overlay and silhouettes as needed and hiding any left over.
+     *
+     * @method Phaser.Plugin.Isometric.Occlusion#_updateSilhouettes
+     * @private
+     */
+    _updateSilhouettes: function () {
+        var i, target, silhouette;
+        var occluded = this.occluded;
+
+        if (occluded.length === 0 && !this.overlay) {
+            return;
+        }
+
+        if (!this.overlay) {
+            this.overlay = new Phaser.Group(this.game, null, 'isoOcclusion');
+        }
+
+        var overlay = this.overlay;
+        var parent = occluded.length > 0 ? occluded[0].parent : null;
+
+        //  Keep the overlay directly above the targets' parent, with the same transform
+        if (parent && parent.parent) {
+            if (overlay.parent !== parent.parent) {
+                parent.parent.addChildAt(overlay, parent.parent.getChildIndex(parent) + 1);
+            }
+            else if (parent.parent.getChildIndex(overlay) < parent.parent.getChildIndex(parent)) {
+                parent.parent.setChildIndex(overlay, parent.parent.getChildIndex(parent));
+            }
+
+            overlay.position.copyFrom(parent.position);
+            overlay.scale.copyFrom(parent.scale);
+            overlay.pivot.copyFrom(parent.pivot);
+            overlay.rotation = parent.rotation;
+        }
+
+        for (i = 0; i < occluded.length; i++) {
+            target = occluded[i];
+            silhouette = overlay.children[i];
+
+            if (!silhouette) {
+                silhouette = overlay.add(new Phaser.Image(this.game, 0, 0, target.key, target.frame));
+            }
+            else if (silhouette.key !== target.key || silhouette.frame !== target.frame) {
+                silhouette.loadTexture(target.key, target.frame);
+            }
+
+            silhouette.visible = true;
+            silhouette.position.copyFrom(target.position);
+            silhouette.anchor.copyFrom(target.anchor);
+            silhouette.scale.copyFrom(target.scale);
+            silhouette.rotation = target.rotation;
+            silhouette.tint = this.silhouetteTint;
+            silhouette.alpha = this.silhouetteAlpha;
+        }
+
+        for (i = occluded.length; i < overlay.children.length; i++) {
+            overlay.children[i].visible = false;
+        }
+    }
+
+};
@@ -137,23 +137,23 @@ Phaser.Plugin.Isometric.Octree.prototype = {
 
         //  bottom four octants
         //  -x-y-z
-        this.nodes[0] = new Phaser.Plugin.Isometric.Octree(this.bounds.x, this.bounds.y, this.bounds.z, this.bounds.subWidthX, this.bounds.subWidthY, this.bounds.subHeight, this.maxLevels, (this.level + 1));
+        this.nodes[0] = new Phaser.Plugin.Isometric.Octree(this.bounds.x, this.bounds.y, this.bounds.z, this.bounds.subWidthX, this.bounds.subWidthY, this.bounds.subHeight, this.maxObjects, this.maxLevels, (this.level + 1));
         //  +x-y-z
-        this.nodes[1] = new Phaser.Plugin.Isometric.Octree(this.bounds.frontX, this.bounds.y, this.bounds.z, this.bounds.subWidthX, this.bounds.subWidthY, this.bounds.subHeight, this.maxLevels, (this.level + 1));
+        this.nodes[1] = new Phaser.Plugin.Isometric.Octree(this.bounds.frontX, this.bounds.y, this.bounds.z, this.bounds.subWidthX, this.bounds.subWidthY, this.bounds.subHeight, this.maxObjects, this.maxLevels, (this.level + 1));
         //  -x+y-z
-        this.nodes[2] = new Phaser.Plugin.Isometric.Octree(this.bounds.x, this.bounds.frontY, this.bounds.z, this.bounds.subWidthX, this.bounds.subWidthY, this.bounds.subHeight, this.maxLevels, (this.level + 1));
+        this.nodes[2] = new Phaser.Plugin.Isometric.Octree(this.bounds.x, this.bounds.frontY, this.bounds.z, this.bounds.subWidthX, this.bounds.subWidthY, this.bounds.subHeight, this.maxObjects, this.maxLevels, (this.level + 1));
         //  +x+y-z
-        this.nodes[3] = new Phaser.Plugin.Isometric.Octree(this.bounds.frontX, this.bounds.frontY, this.bounds.z, this.bounds.subWidthX, this.bounds.subWidthY, this.bounds.subHeight, this.maxLevels, (this.level + 1));
+        this.nodes[3] = new Phaser.Plugin.Isometric.Octree(this.bounds.frontX, this.bounds.frontY, this.bounds.z, this.bounds.subWidthX, this.bounds.subWidthY, this.bounds.subHeight, this.maxObjects, this.maxLevels, (this.level + 1));
 
         //  top four octants
         //  -x-y+z
-        this.nodes[4] = new Phaser.Plugin.Isometric.Octree(this.bounds.x, this.bounds.y, this.bounds.top, this.bounds.subWidthX, this.bounds.subWidthY, this.bounds.subHeight, this.maxLevels, (this.level + 1));
+        this.nodes[4] = new Phaser.Plugin.Isometric.Octree(this.bounds.x, this.bounds.y, this.bounds.top, this.bounds.subWidthX, this.bounds.subWidthY, this.bounds.subHeight, this.maxObjects, this.maxLevels, (this.level + 1));
         //  +x-y+z
-        this.nodes[5] = new Phaser.Plugin.Isometric.Octree(this.bounds.frontX, this.bounds.y, this.bounds.top, this.bounds.subWidthX, this.bounds.subWidthY, this.bounds.subHeight, this.maxLevels, (this.level + 1));
+        this.nodes[5] = new Phaser.Plugin.Isometric.Octree(this.bounds.frontX, this.bounds.y, this.bounds.top, this.bounds.subWidthX, this.bounds.subWidthY, this.bounds.subHeight, this.maxObjects, this.maxLevels, (this.level + 1));
         //  -x+y+z
-        this.nodes[6] = new Phaser.Plugin.Isometric.Octree(this.bounds.x, this.bounds.frontY, this.bounds.top, this.bounds.subWidthX, this.bounds.subWidthY, this.bounds.subHeight, this.maxLevels, (this.level + 1));
+        this.nodes[6] = new Phaser.Plugin.Isometric.Octree(this.bounds.x, this.bounds.frontY, this.bounds.top, this.bounds.subWidthX, this.bounds.subWidthY, this.bounds.subHeight, this.maxObjects, this.maxLevels, (this.level + 1));
         //  +x+y+z
-        this.nodes[7] = new Phaser.Plugin.Isometric.Octree(this.bounds.frontX, this.bounds.frontY, this.bounds.top, this.bounds.subWidthX, this.bounds.subWidthY, this.bounds.subHeight, this.maxLevels, (this.level + 1));
+        this.nodes[7] = new Phaser.Plugin.Isometric.Octree(this.bounds.frontX, this.bounds.frontY, this.bounds.top, this.bounds.subWidthX, this.bounds.subWidthY, this.bounds.subHeight, this.maxObjects, this.maxLevels, (this.level + 1));
     },
 
     /**
@@ -301,6 +301,83 @@ Phaser.Plugin.Isometric.Octree.prototype = {
 
     },
 
+    /**
+     * Remove an object from the node, or whichever subnode it was inserted into. The object must have the same bounds as when it was inserted.
+     *
+     * @method Phaser.Plugin.Isometric.Octree#remove
+     * @param {Phaser.Plugin.Isometric.Body|Phaser.Plugin.Isometric.Cube|object} body - The object to remove from the octree.
+     * @return {boolean} True if the object was found and removed, otherwise false.
+     */
+    remove: function (body) {
+
+        if (this.nodes[0] != null) {
+            var index = this.getIndex(body);
+
+            if (index != -1) {
+                return this.nodes[index].remove(body);
+            }
+        }
+
+        var i = this.objects.indexOf(body);
+
+        if (i === -1) {
+            return false;
+        }
+
+        this.objects.splice(i, 1);
+
+        return true;
+
+    },
+
+    /**
+     * Return all objects whose bounds intersect the given range. Unlike retrieve, subnodes that cannot hold any intersecting objects are skipped entirely,
+     * and the range may extend to infinity along any axis, making this suitable for finding everything behind or in front of a point.
+     *
+     * @method Phaser.Plugin.Isometric.Octree#query
+     * @param {Phaser.Plugin.Isometric.Cube|object} range - The range to check. Can be any object so long as it exposes x, y, z, frontX, frontY and top properties.
+     * @param {array} [output] - An optional array to add the intersecting objects to.
+     * @return {array} - Array with all intersecting objects.
+     */
+    query: function (range, output) {
+
+        if (typeof output === 'undefined') {
+            output = [];
+        }
+
+        var i, object;
+
+        for (i = 0; i < this.objects.length; i++) {
+            object = this.objects[i];
+
+            if (object.x <= range.frontX && object.frontX >= range.x && object.y <= range.frontY && object.frontY >= range.y && object.z <= range.top && object.top >= range.z) {
+                output.push(object);
+            }
+        }
+
+        if (this.nodes[0]) {
+            //  Objects in a -x, -y or -z octant end before the midpoint of that axis, and objects in a +x, +y or +z octant start after it (see getIndex)
+            for (i = 0; i < 8; i++) {
+                if ((i & 1) ? range.frontX <= this.bounds.frontX : range.x >= this.bounds.frontX) {
+                    continue;
+                }
+
+                if ((i & 2) ? range.frontY <= this.bounds.frontY : range.y >= this.bounds.frontY) {
+                    continue;
+                }
+
+                if ((i & 4) ? range.top <= this.bounds.top : range.z >= this.bounds.top) {
+                    continue;
+                }
+
+                this.nodes[i].query(range, output);
+            }
+        }
+
+        return output;
+
+    },
+
     /**
      * Clear the octree.
      * @method Phaser.Plugin.Isometric.Octree#clear
@@ -344,18 +421,13 @@ Phaser.Utils.Debug.prototype.octree = function (octree, color) {
         this.context.strokeStyle = color;
 
         var cube = new Phaser.Plugin.Isometric.Cube(bounds.x, bounds.y, bounds.z, bounds.widthX, bounds.widthY, bounds.height);
-        var corners = cube.getCorners();
-
-        var posX = -this.game.camera.x;
-        var posY = -this.game.camera.y;
+        var projector = this.game.iso;
+        var corners = projector.orientCorners(cube.getCorners());
 
         points = corners.slice(0, corners.length);
 
         points = points.map(function (p) {
-            var newPos = this.game.iso.project(p);
-            newPos.x += posX;
-            newPos.y += posY;
-            return newPos;
+            return projector.projectScreen(p);
         });
 
         this.context.moveTo(points[0].x, points[0].y);
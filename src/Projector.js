@@ -6,7 +6,7 @@
  *
  * @constructor
  * @param {Phaser.Game} game - The current game object.
- * @param {number} projectionAngle - The angle of the axonometric projection in radians. Defaults to approx. 0.4636476 (Math.atan(0.5) which is suitable for 2:1 pixel art dimetric)
+ * @param {number|object} projectionAngle - The angle of the axonometric projection in radians. Defaults to approx. 0.4636476 (Math.atan(0.5) which is suitable for 2:1 pixel art dimetric). Alternatively a projection strategy, such as a Phaser.Plugin.Isometric.ObliqueProjection, may be passed.
  * @return {Phaser.Plugin.Isometric.Cube} This Cube object.
  */
 Phaser.Plugin.Isometric.Projector = function (game, projectionAngle) {
@@ -17,29 +17,121 @@ Phaser.Plugin.Isometric.Projector = function (game, projectionAngle) {
     this.game = game;
 
     /**
-     * @property {array} _transform - The pre-calculated axonometric transformation values.
+     * @property {Phaser.Plugin.Isometric.AxonometricProjection|Phaser.Plugin.Isometric.ObliqueProjection} _projection - The cached projection strategy.
      * @private
      */
-    this._transform = null;
+    this._projection = null;
 
     /**
-     * @property {number} _projectionAngle - The cached angle of projection in radians.
+     * @property {Phaser.Plugin.Isometric.AxonometricProjection|Phaser.Plugin.Isometric.ObliqueProjection} projection - The projection strategy used to transform between 3D and 2D space.
+     * @default
+     */
+    this.projection = (projectionAngle && typeof projectionAngle.project === 'function') ? projectionAngle : new Phaser.Plugin.Isometric.AxonometricProjection(projectionAngle);
+
+    /**
+     * @property {Phaser.Point} anchor - The x and y offset multipliers as a ratio of the game world size. IsoSprites are only projected again when they move, so call
+     * Projector#reproject after changing the anchor or resizing the game world once they have been created.
+     * @default
+     */
+    this.anchor = new Phaser.Point(0.5, 0);
+
+    /**
+     * @property {Phaser.Point} pivot - The x and y coordinates (in 3D space) around which the view is rotated when the orientation is changed. Call Projector#reproject
+     * after changing it while the orientation isn't 0.
+     * @default
+     */
+    this.pivot = new Phaser.Point(0, 0);
+
+    /**
+     * @property {number} _orientation - The cached orientation of the view in degrees.
+     * @private
+     */
+    this._orientation = 0;
+
+    /**
+     * @property {array} _rotation - The pre-calculated cosine and sine of the orientation.
+     * @private
+     */
+    this._rotation = [1, 0];
+
+    /**
+     * @property {array} _cornerMap - Maps the corners of a Cube as seen from the current orientation to the corners returned by Cube#getCorners.
+     * @private
+     */
+    this._cornerMap = [0, 1, 2, 3, 4, 5, 6, 7];
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Point3} _point3 - Internal cache var.
+     * @private
+     */
+    this._point3 = new Phaser.Plugin.Isometric.Point3();
+
+    /**
+     * @property {array} _sortCache - Internal cache of the oriented positions and fronts used when sorting.
      * @private
      */
-    this._projectionAngle = 0;
+    this._sortCache = [];
 
     /**
-     * @property {number} projectionAngle - The angle of projection in radians.
+     * @property {array} _axisSigns - Internal cache of the directions of the x and y axes relative to the viewer, used when sorting.
+     * @private
+     */
+    this._axisSigns = [1, 1];
+
+    /**
+     * @property {array} _sortLayers - Internal cache of the layers found when sorting.
+     * @private
+     */
+    this._sortLayers = [];
+
+    /**
+     * @property {Phaser.Point} _point - Internal cache var.
+     * @private
+     */
+    this._point = new Phaser.Point();
+
+    /**
+     * @property {Phaser.Group} container - The Group this Projector is attached to, if any. IsoSprites within it (or any Group within it) use this Projector rather than game.iso.
+     * @readonly
+     */
+    this.container = null;
+
+    /**
+     * @property {number} _zoom - The cached zoom factor.
+     * @private
+     */
+    this._zoom = 1;
+
+    /**
+     * @property {Phaser.Signal} onSortCycle - Dispatched when a topological or incremental sort finds IsoSprites which are each behind the next in a loop, and so have no correct order.
+     * Listeners are passed an array of the cycles found (each an array of the IsoSprites involved) and the Group or array that was sorted.
+     */
+    this.onSortCycle = new Phaser.Signal();
+
+    /**
+     * @property {array} sortCycles - The cycles found by the most recent topological or incremental sort, each an array of the IsoSprites involved.
+     * @readonly
+     */
+    this.sortCycles = [];
+
+    /**
+     * @property {boolean} splitCycles - If true, whenever a sort finds a cycle the longest IsoSprite in it is split into slices along its longer axis (see IsoSprite#split), so that
+     * the cycle can be ordered correctly from the next sort onwards. IsoSprites with a body are never split.
      * @default
      */
-    this.projectionAngle = projectionAngle || Phaser.Plugin.Isometric.CLASSIC;
+    this.splitCycles = false;
 
     /**
-     * @property {Phaser.Point} anchor - The x and y offset multipliers as a ratio of the game world size.
+     * @property {Phaser.Plugin.Isometric.IsoTerrain} terrain - If set, Projector#unproject finds the point on this terrain under the screen position whenever no z-plane is given.
      * @default
      */
-    this.anchor = new Phaser.Point(0.5, 0);
+    this.terrain = null;
 
+    /**
+     * @property {Phaser.Plugin.Isometric.Point3} _terrainStep - Internal cache var.
+     * @private
+     */
+    this._terrainStep = new Phaser.Plugin.Isometric.Point3();
 
 };
 
@@ -48,10 +140,32 @@ Phaser.Plugin.Isometric.CLASSIC = Math.atan(0.5);
 Phaser.Plugin.Isometric.ISOMETRIC = Math.PI / 6;
 Phaser.Plugin.Isometric.MILITARY = Math.PI / 4;
 
+/**
+ * Find the Projector responsible for a display object; the Projector attached to the nearest Group up its display list, or game.iso if there is none.
+ *
+ * @method Phaser.Plugin.Isometric.Projector.getProjector
+ * @param {PIXI.DisplayObject} displayObject - The display object to find the Projector for.
+ * @param {Phaser.Game} game - The current game object.
+ * @return {Phaser.Plugin.Isometric.Projector} The Projector to use.
+ */
+Phaser.Plugin.Isometric.Projector.getProjector = function (displayObject, game) {
+    var parent = displayObject.parent;
+
+    while (parent) {
+        if (parent.projector) {
+            return parent.projector;
+        }
+
+        parent = parent.parent;
+    }
+
+    return game.iso;
+};
+
 Phaser.Plugin.Isometric.Projector.prototype = {
 
     /**
-     * Use axonometric projection to transform a 3D Point3 coordinate to a 2D Point coordinate. If given the coordinates will be set into the object, otherwise a brand new Point object will be created and returned.
+     * Use the current projection to transform a 3D Point3 coordinate to a 2D Point coordinate. If given the coordinates will be set into the object, otherwise a brand new Point object will be created and returned.
      * @method Phaser.Plugin.Isometric.Projector#project
      * @param {Phaser.Plugin.Isometric.Point3} point3 - The Point3 to project from.
      * @param {Phaser.Point} out - The Point to project to.
@@ -62,8 +176,7 @@ Phaser.Plugin.Isometric.Projector.prototype = {
             out = new Phaser.Point();
         }
 
-        out.x = (point3.x - point3.y) * this._transform[0];
-        out.y = ((point3.x + point3.y) * this._transform[1]) - point3.z;
+        this._projection.project(this.rotate(point3, this._point3), out);
 
         out.x += this.game.world.width * this.anchor.x;
         out.y += this.game.world.height * this.anchor.y;
@@ -72,7 +185,7 @@ Phaser.Plugin.Isometric.Projector.prototype = {
     },
 
     /**
-     * Use axonometric projection to transform a 3D Point3 coordinate to a 2D Point coordinate, ignoring the z-axis. If given the coordinates will be set into the object, otherwise a brand new Point object will be created and returned.
+     * Use the current projection to transform a 3D Point3 coordinate to a 2D Point coordinate, ignoring the z-axis. If given the coordinates will be set into the object, otherwise a brand new Point object will be created and returned.
      * @method Phaser.Plugin.Isometric.Projector#projectXY
      * @param {Phaser.Plugin.Isometric.Point3} point3 - The Point3 to project from.
      * @param {Phaser.Point} out - The Point to project to.
@@ -83,8 +196,10 @@ Phaser.Plugin.Isometric.Projector.prototype = {
             out = new Phaser.Point();
         }
 
-        out.x = (point3.x - point3.y) * this._transform[0];
-        out.y = (point3.x + point3.y) * this._transform[1];
+        point3 = this.rotate(point3, this._point3);
+        point3.z = 0;
+
+        this._projection.project(point3, out);
 
         out.x += this.game.world.width * this.anchor.x;
         out.y += this.game.world.height * this.anchor.y;
@@ -93,7 +208,56 @@ Phaser.Plugin.Isometric.Projector.prototype = {
     },
 
     /**
-     * Use reverse axonometric projection to transform a 2D Point coordinate to a 3D Point3 coordinate. If given the coordinates will be set into the object, otherwise a brand new Point3 object will be created and returned.
+     * Use the current projection to transform a 3D Point3 coordinate to a 2D Point coordinate on the screen, taking into account the camera, the zoom and the position, scale and rotation
+     * of the Group this Projector is attached to. Used by the debug renderers. If given the coordinates will be set into the object, otherwise a brand new Point object will be created and returned.
+     * @method Phaser.Plugin.Isometric.Projector#projectScreen
+     * @param {Phaser.Plugin.Isometric.Point3} point3 - The Point3 to project from.
+     * @param {Phaser.Point} out - The Point to project to.
+     * @return {Phaser.Point} The transformed Point.
+     */
+    projectScreen: function (point3, out) {
+        out = this.project(point3, out);
+
+        if (this.container) {
+            return this.container.worldTransform.apply(out, out);
+        }
+
+        out.x = (out.x * this.game.world.scale.x) + this.game.world.x;
+        out.y = (out.y * this.game.world.scale.y) + this.game.world.y;
+
+        return out;
+    },
+
+    /**
+     * Use the current projection to find the 2D rectangle which encloses all eight corners of a Cube once projected. If given the rectangle will be set into the object, otherwise a brand new Rectangle object will be created and returned.
+     * @method Phaser.Plugin.Isometric.Projector#projectCube
+     * @param {Phaser.Plugin.Isometric.Cube} cube - The Cube to project from.
+     * @param {Phaser.Rectangle} out - The Rectangle to project to.
+     * @return {Phaser.Rectangle} The enclosing Rectangle.
+     */
+    projectCube: function (cube, out) {
+        if (typeof out === "undefined") {
+            out = new Phaser.Rectangle();
+        }
+
+        var corners = cube.getCorners();
+        var point = this._point;
+        var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        for (var i = 0; i < corners.length; i++) {
+            this.project(corners[i], point);
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        }
+
+        return out.setTo(minX, minY, maxX - minX, maxY - minY);
+    },
+
+    /**
+     * Use the reverse of the current projection to transform a 2D Point coordinate to a 3D Point3 coordinate. If given the coordinates will be set into the object, otherwise a brand new Point3 object will be created and returned.
+     * If no z-plane is given and Projector#terrain is set, the point on the terrain under the screen position is found instead, or the point on the z-plane at 0 if there is none.
      * @method Phaser.Plugin.Isometric.Projector#unproject
      * @param {Phaser.Plugin.Isometric.Point} point - The Point to project from.
      * @param {Phaser.Plugin.Isometric.Point3} out - The Point3 to project to.
@@ -105,31 +269,522 @@ Phaser.Plugin.Isometric.Projector.prototype = {
             out = new Phaser.Plugin.Isometric.Point3();
         }
 
+        var onTerrain = (typeof z === "undefined" && this.terrain);
+        var x, y;
+
         z = z || 0;
 
+        if (this.container) {
+            //  Bring the point into the container's space, so its position, scale and rotation are accounted for
+            this.container.worldTransform.applyInverse(point, this._point);
+            x = this._point.x;
+            y = this._point.y;
+        }
+        else {
+            x = (point.x - this.game.world.x) / this.game.world.scale.x;
+            y = (point.y - this.game.world.y) / this.game.world.scale.y;
+        }
+
+        if (onTerrain) {
+            return this._unprojectTerrain(this._point.setTo(x, y), out);
+        }
+
+        return this.unprojectPosition(this._point.setTo(x, y), out, z);
+    },
+
+    /**
+     * Find the point on Projector#terrain which lies under a 2D coordinate in the space IsoSprites are positioned in, nearest the viewer. The line of points under the coordinate
+     * is followed down from the height of the highest corner of the terrain in steps of less than half a tile until it passes below the ground, and the crossing is then narrowed down.
+     * @method Phaser.Plugin.Isometric.Projector#_unprojectTerrain
+     * @param {Phaser.Point} point - The Point to project from.
+     * @param {Phaser.Plugin.Isometric.Point3} out - The Point3 to project to.
+     * @return {Phaser.Plugin.Isometric.Point3} The point on the terrain, or on the z-plane at 0 if the terrain is not under the coordinate.
+     * @private
+     */
+    _unprojectTerrain: function (point, out) {
+        var terrain = this.terrain;
+        var step = this._terrainStep;
+
+        //  Points under the coordinate move along this for each unit of height
+        this.unprojectPosition(point, out, terrain.maxHeight);
+        this.unprojectPosition(point, step, terrain.maxHeight + 1);
+        Phaser.Plugin.Isometric.Point3.subtract(step, out, step);
+
+        var spread = Math.sqrt((step.x * step.x) + (step.y * step.y));
+        var range = terrain.maxHeight - terrain.minHeight;
+        var dz = (spread > 0) ? Math.min(range, terrain.tileSize * 0.5 / spread) : range;
+        var high = terrain.maxHeight;
+        var low = high;
+        var above = function (z) {
+            return terrain.getHeightAt(out.x + (step.x * (z - terrain.maxHeight)), out.y + (step.y * (z - terrain.maxHeight))) < z;
+        };
 
-        var x = point.x - this.game.world.x - (this.game.world.width * this.anchor.x);
-        var y = point.y - this.game.world.y - (this.game.world.height * this.anchor.y) + z;
+        while (above(low)) {
+            if (low <= terrain.minHeight || dz <= 0) {
+                return this.unprojectPosition(point, out, 0);
+            }
 
-        out.x = x / (2 * this._transform[0]) + y / (2 * this._transform[1]);
-        out.y = -(x / (2 * this._transform[0])) + y / (2 * this._transform[1]);
-        out.z = z;
+            high = low;
+            low = Math.max(low - dz, terrain.minHeight);
+        }
+
+        for (var i = 0; i < 16 && high !== low; i++) {
+            if (above((high + low) * 0.5)) {
+                high = (high + low) * 0.5;
+            }
+            else {
+                low = (high + low) * 0.5;
+            }
+        }
+
+        return this.unprojectPosition(point, out, low);
+    },
+
+    /**
+     * The reverse of Projector#project; transform a 2D coordinate in the space IsoSprites are positioned in, before any camera, zoom or container transform is applied,
+     * to a 3D Point3 coordinate. If given the coordinates will be set into the object, otherwise a brand new Point3 object will be created and returned.
+     * @method Phaser.Plugin.Isometric.Projector#unprojectPosition
+     * @param {Phaser.Point} point - The Point to project from.
+     * @param {Phaser.Plugin.Isometric.Point3} out - The Point3 to project to.
+     * @param {number} [z] - Specified z-plane to project to.
+     * @return {Phaser.Plugin.Isometric.Point3} The transformed Point3.
+     */
+    unprojectPosition: function (point, out, z) {
+        if (typeof out === "undefined") {
+            out = new Phaser.Plugin.Isometric.Point3();
+        }
+
+        z = z || 0;
+
+        this._projection.unproject(point.x - (this.game.world.width * this.anchor.x), point.y - (this.game.world.height * this.anchor.y), z, out);
+
+        return this.unrotate(out, out);
+    },
+
+    /**
+     * Get the view direction of the current projection and orientation; the direction in 3D space that every point under a single screen position lies along, pointing away from the viewer into the scene.
+     * If given the coordinates will be set into the object, otherwise a brand new Point3 object will be created and returned.
+     * @method Phaser.Plugin.Isometric.Projector#getViewDirection
+     * @param {Phaser.Plugin.Isometric.Point3} [out] - The Point3 to store the direction in.
+     * @return {Phaser.Plugin.Isometric.Point3} The view direction.
+     */
+    getViewDirection: function (out) {
+        if (typeof out === "undefined") {
+            out = new Phaser.Plugin.Isometric.Point3();
+        }
+
+        //  The view direction is perpendicular to both rows of the projection, so project each axis to find them
+        var axisX = this._projection.project(new Phaser.Plugin.Isometric.Point3(1, 0, 0), new Phaser.Point());
+        var axisY = this._projection.project(new Phaser.Plugin.Isometric.Point3(0, 1, 0), new Phaser.Point());
+        var axisZ = this._projection.project(new Phaser.Plugin.Isometric.Point3(0, 0, 1), new Phaser.Point());
+
+        out.setTo(
+            (axisY.x * axisZ.y) - (axisZ.x * axisY.y),
+            (axisZ.x * axisX.y) - (axisX.x * axisZ.y),
+            (axisX.x * axisY.y) - (axisY.x * axisX.y)
+        );
+
+        if (out.z > 0) {
+            out.setTo(-out.x, -out.y, -out.z);
+        }
+
+        return this.unrotate(out, out, true);
+    },
+
+    /**
+     * Get the ray in 3D space that lies under a 2D screen position, starting at the given z-plane and heading away from the viewer into the scene.
+     * @method Phaser.Plugin.Isometric.Projector#getRay
+     * @param {Phaser.Point} point - The screen position to cast the ray through.
+     * @param {number} [z=0] - The z-plane to start the ray from; anything above it will be missed.
+     * @return {object} An object with origin and direction Point3 properties describing the ray.
+     */
+    getRay: function (point, z) {
+        return {
+            origin: this.unproject(point, undefined, z || 0),
+            direction: this.getViewDirection()
+        };
+    },
+
+    /**
+     * Cast a ray through the scene under the pointer and find the front-most IsoSprite it hits, testing against the IsoSprite's Body if it has one or its derived bounds otherwise.
+     * Unlike unproject, this works regardless of the height of what is under the pointer, so stacked terrain and tall objects can be picked accurately.
+     * @method Phaser.Plugin.Isometric.Projector#pick
+     * @param {Phaser.Pointer|Phaser.Point} [pointer] - The Pointer or screen position to pick at. Defaults to Input.activePointer.
+     * @param {Phaser.Group|array} [group] - The Group (including any Groups within it) or array of IsoSprites to pick from. Defaults to the Group this Projector is attached to, or the game world.
+     * @return {object} An object with object (the IsoSprite), body (its Body, if any), point (the Point3 where the ray hit) and face (one of the directional consts) properties, or null if nothing was hit.
+     */
+    pick: function (pointer, group) {
+        pointer = pointer || this.game.input.activePointer;
+        group = group || this.container || this.game.world;
+
+        var candidates = this._getPickCandidates(group.children || group, []);
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        var i, bounds, distance, top = -Infinity;
+
+        //  Start the ray above everything so nothing is missed
+        for (i = 0; i < candidates.length; i++) {
+            bounds = candidates[i].body || candidates[i].isoBounds;
+            top = Math.max(top, bounds.top);
+        }
+
+        var ray = this.getRay(pointer.position || pointer, top + 1);
+        var point = new Phaser.Plugin.Isometric.Point3();
+        var nearest = Infinity;
+        var result = null;
+
+        for (i = 0; i < candidates.length; i++) {
+            bounds = candidates[i].body || candidates[i].isoBounds;
+            distance = Phaser.Plugin.Isometric.Cube.intersectsRay(bounds, ray.origin, ray.direction, point);
+
+            if (distance >= 0 && distance < nearest) {
+                nearest = distance;
+                result = {
+                    object: candidates[i],
+                    body: candidates[i].body || null,
+                    point: new Phaser.Plugin.Isometric.Point3(point.x, point.y, point.z),
+                    face: Phaser.Plugin.Isometric.Cube.getFace(bounds, point)
+                };
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Collect the visible IsoSprites that can be picked, skipping any Groups that have a different Projector attached.
+     * @method Phaser.Plugin.Isometric.Projector#_getPickCandidates
+     * @param {array} children - The display objects to search.
+     * @param {array} out - The array to add the IsoSprites to.
+     * @return {array} The IsoSprites found.
+     * @private
+     */
+    _getPickCandidates: function (children, out) {
+        var child;
+
+        for (var i = 0, len = children.length; i < len; i++) {
+            child = children[i];
+
+            if (!child.exists || !child.visible) {
+                continue;
+            }
+
+            if (child.type !== Phaser.GROUP && Phaser.Plugin.Isometric.IsoObject.isIsoObject(child)) {
+                out.push(child);
+            }
+            else if (child.children && child.children.length > 0 && (!child.projector || child.projector === this)) {
+                this._getPickCandidates(child.children, out);
+            }
+        }
+
+        return out;
+    },
+
+    /**
+     * Rotate a 3D Point3 coordinate around the pivot by the current orientation, giving its position as seen from the front of the view. If given the coordinates will be set into the object, otherwise a brand new Point3 object will be created and returned.
+     * @method Phaser.Plugin.Isometric.Projector#rotate
+     * @param {Phaser.Plugin.Isometric.Point3} point3 - The Point3 to rotate.
+     * @param {Phaser.Plugin.Isometric.Point3} [out] - The Point3 to store the rotated coordinates in.
+     * @param {boolean} [direction=false] - If true the Point3 is treated as a direction (such as a velocity) and is rotated without regard to the pivot.
+     * @return {Phaser.Plugin.Isometric.Point3} The rotated Point3.
+     */
+    rotate: function (point3, out, direction) {
+        if (typeof out === "undefined") {
+            out = new Phaser.Plugin.Isometric.Point3();
+        }
+
+        if (this._orientation === 0) {
+            return out.setTo(point3.x, point3.y, point3.z);
+        }
+
+        var px = direction ? 0 : this.pivot.x;
+        var py = direction ? 0 : this.pivot.y;
+        var x = point3.x - px;
+        var y = point3.y - py;
+
+        return out.setTo(x * this._rotation[0] - y * this._rotation[1] + px, x * this._rotation[1] + y * this._rotation[0] + py, point3.z);
+    },
+
+    /**
+     * The reverse of Projector#rotate; takes a Point3 as seen from the front of the view and returns its actual position in 3D space. Handy for turning screen-relative movement input into a velocity. If given the coordinates will be set into the object, otherwise a brand new Point3 object will be created and returned.
+     * @method Phaser.Plugin.Isometric.Projector#unrotate
+     * @param {Phaser.Plugin.Isometric.Point3} point3 - The Point3 to rotate.
+     * @param {Phaser.Plugin.Isometric.Point3} [out] - The Point3 to store the rotated coordinates in.
+     * @param {boolean} [direction=false] - If true the Point3 is treated as a direction (such as a velocity) and is rotated without regard to the pivot.
+     * @return {Phaser.Plugin.Isometric.Point3} The rotated Point3.
+     */
+    unrotate: function (point3, out, direction) {
+        if (typeof out === "undefined") {
+            out = new Phaser.Plugin.Isometric.Point3();
+        }
+
+        if (this._orientation === 0) {
+            return out.setTo(point3.x, point3.y, point3.z);
+        }
+
+        var px = direction ? 0 : this.pivot.x;
+        var py = direction ? 0 : this.pivot.y;
+        var x = point3.x - px;
+        var y = point3.y - py;
+
+        return out.setTo(x * this._rotation[0] + y * this._rotation[1] + px, -x * this._rotation[1] + y * this._rotation[0] + py, point3.z);
+    },
+
+    /**
+     * Get the compass direction on the screen of a horizontal direction in 3D space, taking the projection and the orientation of the view into account. North is up
+     * the screen and east is to the right, so a character sheet drawn facing in each direction can be picked from the result.
+     * @method Phaser.Plugin.Isometric.Projector#getCompass
+     * @param {number} x - The x component of the direction.
+     * @param {number} y - The y component of the direction.
+     * @param {number} [points=8] - The number of compass points to choose between; either 4, 8 or 16.
+     * @return {string} The name of the compass point, such as 'N', 'NE' or 'NNE'. See Phaser.Plugin.Isometric.COMPASS_16.
+     */
+    getCompass: function (x, y, points) {
+        points = points || 8;
+
+        var screen = this._projection.project(this.rotate(this._point3.setTo(x, y, 0), this._point3, true), this._point);
+
+        //  Clockwise from straight up the screen
+        var angle = Math.atan2(screen.x, -screen.y);
+        var step = 16 / points;
+        var index = Math.round(Phaser.Math.wrap(angle / (Math.PI * 2) * points, 0, points)) % points;
+
+        return Phaser.Plugin.Isometric.COMPASS_16[index * step];
+    },
+
+    /**
+     * Create and start an IsoTween, moving an iso display object through 3D space to a Point3, or along a list of Point3s, optionally in an arc.
+     * @method Phaser.Plugin.Isometric.Projector#tween
+     * @param {PIXI.DisplayObject} object - The iso display object to move.
+     * @param {Phaser.Plugin.Isometric.Point3|Array.<Phaser.Plugin.Isometric.Point3>} path - The position to move to, or a list of positions to move through in turn.
+     * @param {number} [duration=1000] - The duration of the move in ms.
+     * @param {object} [options] - Any of arcHeight, easing and delay. See IsoTween.
+     * @return {Phaser.Plugin.Isometric.IsoTween} The started IsoTween.
+     */
+    tween: function (object, path, duration, options) {
+        return new Phaser.Plugin.Isometric.IsoTween(this.game, object, path, duration, options).start();
+    },
+
+    /**
+     * Reorders the eight corners of a Cube (as returned by Cube#getCorners or Body#getCorners) so that they are indexed as seen from the current orientation. This allows corner-based rendering, such as the debug renderers, to work regardless of which way the view is facing.
+     * @method Phaser.Plugin.Isometric.Projector#orientCorners
+     * @param {Array.<Phaser.Plugin.Isometric.Point3>} corners - The eight corners of the Cube.
+     * @param {Array.<Phaser.Plugin.Isometric.Point3>} [out] - An optional array to store the reordered corners in.
+     * @return {Array.<Phaser.Plugin.Isometric.Point3>} The reordered corners.
+     */
+    orientCorners: function (corners, out) {
+        if (typeof out === "undefined") {
+            out = [];
+        }
+
+        for (var i = 0; i < 8; i++) {
+            out[i] = corners[this._cornerMap[i]];
+        }
 
         return out;
     },
 
+    /**
+     * Calculates the non-unit distance of a Point3 from the 'front' of the scene, taking the orientation into account. Used to depth sort IsoSprites.
+     * @method Phaser.Plugin.Isometric.Projector#depth
+     * @param {Phaser.Plugin.Isometric.Point3} point3 - The Point3 to calculate the depth of.
+     * @return {number} The depth of the Point3.
+     */
+    depth: function (point3) {
+        return this._projection.depth(this.rotate(point3, this._point3));
+    },
+
+    /**
+     * Attach this Projector to a Group. IsoSprites within the Group, or any Group within it, will then be projected by this Projector rather than game.iso, allowing
+     * parts of the scene such as a minimap or an inset view to use a different projection, orientation or anchor. The nearest attached Projector up the display list wins.
+     * @method Phaser.Plugin.Isometric.Projector#attach
+     * @param {Phaser.Group} group - The Group to attach to.
+     * @return {Phaser.Plugin.Isometric.Projector} This Projector object.
+     */
+    attach: function (group) {
+        this.detach();
+
+        //  IsoContainers inherit the Projector of the group they are in, so only detach one which is actually attached to this group
+        if (group.projector && group.projector.container === group) {
+            group.projector.detach();
+        }
+
+        group.projector = this;
+        this.container = group;
+
+        if (this._zoom !== 1) {
+            group.scale.set(this._zoom);
+        }
+
+        this.reproject();
+
+        return this;
+    },
+
+    /**
+     * Detach this Projector from the Group it was attached to, returning the IsoSprites within it to the next Projector up the display list. The Group is returned to
+     * its normal scale if it was zoomed.
+     * @method Phaser.Plugin.Isometric.Projector#detach
+     * @return {Phaser.Plugin.Isometric.Projector} This Projector object.
+     */
+    detach: function () {
+        var group = this.container;
+
+        if (group) {
+            group.projector = null;
+            this.container = null;
+
+            if (this._zoom !== 1) {
+                group.scale.set(1);
+            }
+
+            this.reproject(group);
+        }
+
+        return this;
+    },
+
+    /**
+     * Flags every IsoSprite within the given Group (and any Groups within it) to be re-projected and have its depth recalculated. Called automatically when the orientation or projection changes.
+     * @method Phaser.Plugin.Isometric.Projector#reproject
+     * @param {Phaser.Group} [group] - The Group to search. Defaults to the Group this Projector is attached to, or the game world.
+     */
+    reproject: function (group) {
+        group = group || this.container || this.game.world;
+
+        if (!group) {
+            return;
+        }
+
+        var child;
+
+        for (var i = 0, len = group.children.length; i < len; i++) {
+            child = group.children[i];
+
+            if (Phaser.Plugin.Isometric.IsoObject.isIsoObject(child)) {
+                child._invalidateIsoPosition();
+            }
+
+            if (child.children && child.children.length > 0) {
+                this.reproject(child);
+            }
+        }
+    },
+
     /**
      * Perform a simple depth sort on all IsoSprites in the passed group. This function is fast and will accurately sort items on a single z-plane, but breaks down when items are above/below one another in certain configurations.
+     * IsoSprites are sorted by their isoLayer first, and by depth within each layer.
      *
      * @method Phaser.Plugin.Isometric.Projector#simpleSort
      * @param {Phaser.Group} group - A group of IsoSprites to sort.
      */
     simpleSort: function(group) {
-        group.sort("depth");
+        group.customSort(this._simpleSortHandler, this);
+    },
+
+    /**
+     * The comparator used by Projector#simpleSort.
+     *
+     * @method Phaser.Plugin.Isometric.Projector#_simpleSortHandler
+     * @param {Phaser.Plugin.Isometric.IsoSprite} a - The first IsoSprite to compare.
+     * @param {Phaser.Plugin.Isometric.IsoSprite} b - The second IsoSprite to compare.
+     * @return {number} A negative number if a should be drawn first, otherwise a positive number.
+     * @private
+     */
+    _simpleSortHandler: function (a, b) {
+        if (a.isoLayer !== b.isoLayer) {
+            return (a.isoLayer < b.isoLayer) ? -1 : 1;
+        }
+
+        if (a.depth < b.depth) {
+            return -1;
+        }
+        else if (a.depth > b.depth) {
+            return 1;
+        }
+
+        return (a.z < b.z) ? -1 : 1;
+    },
+
+    /**
+     * Get the distinct isoLayer values of the passed IsoSprites, in the order they are drawn.
+     *
+     * @method Phaser.Plugin.Isometric.Projector#getSortLayers
+     * @param {array} children - The IsoSprites to get the layers of.
+     * @param {array} [out] - The array to write the layers into.
+     * @return {array} The layers, lowest first.
+     */
+    getSortLayers: function (children, out) {
+        if (typeof out === "undefined") {
+            out = [];
+        }
+
+        out.length = 0;
+
+        for (var i = 0; i < children.length; i++) {
+            if (out.indexOf(children[i].isoLayer) === -1) {
+                out.push(children[i].isoLayer);
+            }
+        }
+
+        out.sort(function (a, b) {
+            return a - b;
+        });
+
+        return out;
+    },
+
+    /**
+     * Write the back (position) and front of an IsoSprite as seen from the current orientation into an array, as six consecutive values: the x, y and z of its back
+     * corner followed by its frontX, frontY and top, where the back corner is whichever of its rotated corners is lowest on each axis. Axes which point away from the
+     * viewer in the current projection (see AxonometricProjection#getAxisSigns) are negated, so larger values are always nearer. Uses the body if available, otherwise the automatically generated bounding cube. If the IsoSprite has declared bounds (see
+     * IsoObject#setIsoBounds) the back corner of those is used in place of its position. These are the values the depth sorts compare.
+     * @method Phaser.Plugin.Isometric.Projector#getSortBounds
+     * @param {Phaser.Plugin.Isometric.IsoSprite} sprite - The IsoSprite to get the bounds of.
+     * @param {array} [out] - The array to write the values into.
+     * @param {number} [offset=0] - The index to start writing at.
+     * @return {array} The array the values were written into.
+     */
+    getSortBounds: function (sprite, out, offset) {
+        if (typeof out === "undefined") {
+            out = [];
+        }
+
+        offset = offset || 0;
+
+        var bounds = sprite.body || sprite.isoBounds;
+        var position = (!sprite.body && sprite._getDeclaredIsoBounds && sprite._getDeclaredIsoBounds()) ? bounds : sprite.isoWorldPosition;
+        var point = this._point3;
+        var signs = this._projection.getAxisSigns(this._axisSigns);
+        var backX, backY, frontX, frontY;
+
+        //  Flip any axis which points away from the viewer, so that larger values are always nearer
+        this.rotate(point.setTo(position.x, position.y, 0), point);
+        backX = point.x * signs[0];
+        backY = point.y * signs[1];
+
+        this.rotate(point.setTo(bounds.frontX, bounds.frontY, 0), point);
+        frontX = point.x * signs[0];
+        frontY = point.y * signs[1];
+
+        //  Rotating or flipping the back and front corners can swap them over, so take whichever is lowest on each axis as the back
+        out[offset] = Math.min(backX, frontX);
+        out[offset + 1] = Math.min(backY, frontY);
+        out[offset + 2] = position.z;
+        out[offset + 3] = Math.max(backX, frontX);
+        out[offset + 4] = Math.max(backY, frontY);
+
+        out[offset + 5] = bounds.top;
+
+        return out;
     },
 
     /**
      * Perform a volume-based topological sort on all IsoSprites in the passed group or array. Will use the body if available, otherwise it will use an automatically generated bounding cube. If a group is passed, <code>Phaser.Group#sort</code> is automatically called on the specified property.
+     * IsoSprites are only sorted against others in the same isoLayer, and lower layers are always placed entirely behind higher ones.
      * Routine adapted from this tutorial: http://mazebert.com/2013/04/18/isometric-depth-sorting/
      *
      * @method Phaser.Plugin.Isometric.Projector#topologicalSort
@@ -160,7 +815,13 @@ Phaser.Plugin.Isometric.Projector.prototype = {
             padding = padding;
         }
 
-        var a, b, i, j, bounds, behindIndex, len = children.length;
+        var a, i, j, k, behindIndex, len = children.length;
+        var cache = this._sortCache;
+
+        //  Cache the back (position) and front of each sprite as seen from the current orientation
+        for (i = 0; i < len; i++) {
+            this.getSortBounds(children[i], cache, i * 6);
+        }
 
         for (i = 0; i < len; i++) {
             a = children[i];
@@ -169,23 +830,28 @@ Phaser.Plugin.Isometric.Projector.prototype = {
                 a.isoSpritesBehind = [];
             }
 
+            k = i * 6;
+
             for (j = 0; j < len; j++) {
                 if (i != j) {
-                    b = children[j];
-                    bounds = a.body || a.isoBounds;
-                    if (b._isoPosition.x + padding < bounds.frontX - padding && b._isoPosition.y + padding < bounds.frontY - padding && b._isoPosition.z + padding < bounds.top - padding) {
-                        a.isoSpritesBehind[behindIndex++] = b;
+                    if (cache[j * 6] + padding < cache[k + 3] - padding && cache[j * 6 + 1] + padding < cache[k + 4] - padding && cache[j * 6 + 2] + padding < cache[k + 5] - padding && children[j].isoLayer === a.isoLayer) {
+                        a.isoSpritesBehind[behindIndex++] = children[j];
                     }
                 }
             }
             a.isoVisitedFlag = false;
+            a.isoStackedFlag = false;
         }
 
         var _sortDepth = 0;
+        var stack = [];
+        var cycles = [];
 
         function visitNode(node) {
             if (node.isoVisitedFlag === false) {
                 node.isoVisitedFlag = true;
+                node.isoStackedFlag = true;
+                stack.push(node);
                 var spritesBehindLength = node.isoSpritesBehind.length;
                 for (var k = 0; k < spritesBehindLength; k++) {
                     if (node.isoSpritesBehind[k] === null) {
@@ -197,40 +863,312 @@ Phaser.Plugin.Isometric.Projector.prototype = {
                     }
                 }
 
+                stack.pop();
+                node.isoStackedFlag = false;
                 node[prop] = _sortDepth++;
             }
+            else if (node.isoStackedFlag) {
+                //  We've arrived back at a sprite we're still working out what's behind, so everything visited since is in a loop
+                cycles.push(stack.slice(stack.indexOf(node)));
+            }
         }
 
-        for (i = 0; i < len; i++) {
-            visitNode(children[i]);
+        //  Nothing is behind anything in another layer, so visiting the layers in order numbers each entirely before the next
+        var layers = this.getSortLayers(children, this._sortLayers);
+
+        for (j = 0; j < layers.length; j++) {
+            for (i = 0; i < len; i++) {
+                if (children[i].isoLayer === layers[j]) {
+                    visitNode(children[i]);
+                }
+            }
         }
 
         if (isGroup) {
             group.sort(prop);
         }
+
+        this.reportCycles(cycles, group);
+    },
+
+    /**
+     * Called by the depth sorts with the cycles they found. Stores them in Projector#sortCycles and, if there are any, dispatches Projector#onSortCycle and splits them if Projector#splitCycles is set.
+     *
+     * @method Phaser.Plugin.Isometric.Projector#reportCycles
+     * @param {array} cycles - The cycles found, each an array of the IsoSprites involved.
+     * @param {Phaser.Group|array} group - The group or array that was sorted.
+     */
+    reportCycles: function (cycles, group) {
+        this.sortCycles = cycles;
+
+        if (cycles.length === 0) {
+            return;
+        }
+
+        this.onSortCycle.dispatch(cycles, group);
+
+        if (!this.splitCycles) {
+            return;
+        }
+
+        var i, j, sprite, bounds, length, best, bestLength;
+
+        for (i = 0; i < cycles.length; i++) {
+            best = null;
+            bestLength = 0;
+
+            //  Split the longest sprite in the cycle, skipping anything already split earlier in this loop
+            for (j = 0; j < cycles[i].length; j++) {
+                sprite = cycles[i][j];
+
+                if (sprite.body || !sprite.parent || !sprite.split) {
+                    continue;
+                }
+
+                bounds = sprite.isoBounds;
+                length = Math.max(bounds.widthX, bounds.widthY);
+
+                if (length > bestLength) {
+                    best = sprite;
+                    bestLength = length;
+                }
+            }
+
+            if (best) {
+                bounds = best.isoBounds;
+                best.split(bounds.widthX >= bounds.widthY ? 'x' : 'y', Math.max(2, Math.ceil(bestLength / Math.max(Math.min(bounds.widthX, bounds.widthY), 1))));
+            }
+        }
+    },
+
+    /**
+     * Perform the same volume-based topological sort as Projector#topologicalSort, but using an IncrementalSorter kept on the group between calls, so that only IsoSprites
+     * whose sort bounds have changed since the last call are compared against the others again. The resulting order is identical, but scenes with many static IsoSprites sort much faster.
+     *
+     * @method Phaser.Plugin.Isometric.Projector#incrementalSort
+     * @param {Phaser.Group|array} group - A group or array of IsoSprites to sort.
+     * @param {number} [padding] - The amount of extra tolerance in the depth sorting. Defaults to 1.5. See Projector#topologicalSort.
+     * @param {string} [prop] - The property to store the depth information on. If not specified, it will default to 'isoDepth'.
+     */
+    incrementalSort: function (group, padding, prop) {
+        if (!group._isoSorter || group._isoSorter.projector !== this) {
+            group._isoSorter = new Phaser.Plugin.Isometric.IncrementalSorter(this);
+        }
+
+        group._isoSorter.padding = (typeof padding === "undefined") ? 1.5 : padding;
+        group._isoSorter.sort(group, prop);
     }
 
 };
 
+/**
+ * Setting the projection re-projects every IsoSprite in the world, so the scene can be switched between projections on the fly.
+ *
+ * @name Phaser.Plugin.Isometric.Projector#projection
+ * @property {Phaser.Plugin.Isometric.AxonometricProjection|Phaser.Plugin.Isometric.ObliqueProjection} projection - The projection strategy used to transform between 3D and 2D space.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.Projector.prototype, "projection", {
+
+    get: function () {
+        return this._projection;
+    },
+
+    set: function (value) {
+
+        if (value === this._projection) {
+            return;
+        }
+
+        if (this._projection) {
+            this._projection.projector = null;
+        }
+
+        this._projection = value;
+        this._projection.projector = this;
+
+        this.reproject();
+    }
+
+});
+
 /**
  * @name Phaser.Plugin.Isometric.Projector#projectionAngle
- * @property {number} projectionAngle - The angle of axonometric projection.
+ * @property {number} projectionAngle - The angle of projection of the current projection strategy. For an AxonometricProjection this sets both the x and y axes.
  */
 Object.defineProperty(Phaser.Plugin.Isometric.Projector.prototype, "projectionAngle", {
 
     get: function () {
-        return this._projectionAngle;
+        return this._projection.projectionAngle;
     },
 
     set: function (value) {
+        this._projection.projectionAngle = value;
+    }
+
+});
+
+/**
+ * @name Phaser.Plugin.Isometric.Projector#projectionAngleX
+ * @property {number} projectionAngleX - The angle of the x axis of the current projection strategy, if it has one. See AxonometricProjection#projectionAngleX.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.Projector.prototype, "projectionAngleX", {
+
+    get: function () {
+        return this._projection.projectionAngleX;
+    },
+
+    set: function (value) {
+        this._projection.projectionAngleX = value;
+    }
+
+});
+
+/**
+ * @name Phaser.Plugin.Isometric.Projector#projectionAngleY
+ * @property {number} projectionAngleY - The angle of the y axis of the current projection strategy, if it has one. See AxonometricProjection#projectionAngleY.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.Projector.prototype, "projectionAngleY", {
+
+    get: function () {
+        return this._projection.projectionAngleY;
+    },
+
+    set: function (value) {
+        this._projection.projectionAngleY = value;
+    }
+
+});
+
+/**
+ * @name Phaser.Plugin.Isometric.Projector#scaleX
+ * @property {number} scaleX - The scale factor applied to distances along the x axis by the current projection strategy.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.Projector.prototype, "scaleX", {
+
+    get: function () {
+        return this._projection.scaleX;
+    },
+
+    set: function (value) {
+        this._projection.scaleX = value;
+    }
+
+});
+
+/**
+ * @name Phaser.Plugin.Isometric.Projector#scaleY
+ * @property {number} scaleY - The scale factor applied to distances along the y axis by the current projection strategy.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.Projector.prototype, "scaleY", {
+
+    get: function () {
+        return this._projection.scaleY;
+    },
 
-        if (value === this._projectionAngle) {
+    set: function (value) {
+        this._projection.scaleY = value;
+    }
+
+});
+
+/**
+ * @name Phaser.Plugin.Isometric.Projector#scaleZ
+ * @property {number} scaleZ - The scale factor applied to distances along the z axis by the current projection strategy.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.Projector.prototype, "scaleZ", {
+
+    get: function () {
+        return this._projection.scaleZ;
+    },
+
+    set: function (value) {
+        this._projection.scaleZ = value;
+    }
+
+});
+
+/**
+ * The zoom factor of the view. Zooming scales the Group this Projector is attached to, or the game world if it isn't attached to one, so textures are scaled along with
+ * their positions; unproject, projectScreen and the debug renderers all take it into account.
+ *
+ * @name Phaser.Plugin.Isometric.Projector#zoom
+ * @property {number} zoom - The zoom factor of the view.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.Projector.prototype, "zoom", {
+
+    get: function () {
+        return this._zoom;
+    },
+
+    set: function (value) {
+
+        this._zoom = value;
+
+        (this.container || this.game.world).scale.set(value);
+    }
+
+});
+
+/**
+ * The orientation of the view in degrees; one of 0, 90, 180 or 270. Changing the orientation rotates the scene clockwise around the pivot in 90 degree steps,
+ * allowing the world to be viewed from any of its four corners. Other values are snapped to the nearest 90 degrees.
+ *
+ * @name Phaser.Plugin.Isometric.Projector#orientation
+ * @property {number} orientation - The orientation of the view in degrees.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.Projector.prototype, "orientation", {
+
+    get: function () {
+        return this._orientation;
+    },
+
+    set: function (value) {
+
+        value = ((Math.round(value / 90) * 90) % 360 + 360) % 360;
+
+        if (value === this._orientation) {
             return;
         }
 
-        this._projectionAngle = value;
+        this._orientation = value;
+
+        var angle = Phaser.Math.degToRad(value);
+
+        this._rotation = [Math.round(Math.cos(angle)), Math.round(Math.sin(angle))];
 
-        this._transform = [Math.cos(this._projectionAngle), Math.sin(this._projectionAngle)];
+        //  Work out which of the actual corners ends up in each position once rotated
+        var corner = new Phaser.Plugin.Isometric.Point3();
+
+        for (var i = 0; i < 8; i++) {
+            corner.setTo((i & 4) ? 0.5 : -0.5, (i & 2) ? 0.5 : -0.5, 0);
+            this.unrotate(corner, corner, true);
+            this._cornerMap[i] = (corner.x > 0 ? 4 : 0) + (corner.y > 0 ? 2 : 0) + (i & 1);
+        }
+
+        this.reproject();
     }
 
 });
+
+/**
+ * Render the bounds of every IsoSprite involved in a cycle found by the most recent topological or incremental sort, to help track down flickering.
+ *
+ * @method Phaser.Utils.Debug#isoSortCycles
+ * @param {Phaser.Plugin.Isometric.Projector} [projector] - The Projector whose cycles to render. Defaults to game.iso.
+ * @param {string} [color='rgba(255,0,255,0.6)'] - color of the debug info to be rendered. (format is css color string).
+ * @param {boolean} [filled=false] - Render the bounds as a filled (true) or a stroked (false, default) shape.
+ */
+Phaser.Utils.Debug.prototype.isoSortCycles = function (projector, color, filled) {
+
+    projector = projector || this.game.iso;
+    color = color || 'rgba(255,0,255,0.6)';
+
+    var cycles = projector.sortCycles;
+
+    for (var i = 0; i < cycles.length; i++) {
+        for (var j = 0; j < cycles[i].length; j++) {
+            this.isoSprite(cycles[i][j], color, !!filled);
+        }
+    }
+
+};
@@ -209,17 +209,58 @@ Phaser.Plugin.Isometric.Body = function (sprite) {
     this.speed = 0;
 
     /**
-     * @property {number} facing - A const reference to the direction the Body is traveling or facing.
+     * @property {number} facing - A const reference to the direction the Body is traveling or facing. The direction is relative to the screen, so it takes the orientation of the Projector into account.
      * @default
      */
     this.facing = Phaser.NONE;
 
+    /**
+     * @property {string} compass - The compass direction on the screen the Body is traveling or facing along the ground, such as 'N' for straight up the screen or 'SE' for
+     * down and to the right. Derived from the horizontal velocity, so it takes the projection and the orientation of the Projector into account, and is kept while the Body
+     * is not moving horizontally. See Phaser.Plugin.Isometric.COMPASS_16.
+     * @default
+     */
+    this.compass = 'S';
+
+    /**
+     * @property {number} compassPoints - The number of compass points the compass direction is chosen between; either 4, 8 or 16.
+     * @default
+     */
+    this.compassPoints = 8;
+
     /**
      * @property {boolean} immovable - An immovable Body will not receive any impacts from other bodies.
      * @default
      */
     this.immovable = false;
 
+    /**
+     * @property {number} slope - Phaser.NONE for a box shaped Body, or the direction a ramp shaped Body rises towards; one of Phaser.Plugin.Isometric.FORWARDX,
+     * FORWARDY, BACKWARDX or BACKWARDY. A ramp is a wedge rising from the bottom of the Body on one side to its top on the other, and Bodies colliding with it
+     * from above are separated from its sloped surface rather than its top. See Body#setSlope.
+     * @default
+     */
+    this.slope = Phaser.NONE;
+
+    /**
+     * @property {number} maxSlope - The angle in radians of the steepest ramp this Body can stand on and walk up. On steeper ramps it slides down under gravity.
+     * @default
+     */
+    this.maxSlope = Math.PI / 4;
+
+    /**
+     * @property {number} _slopeAngle - The angle given to Body#setSlope, which the height of a ramp is kept at whenever the Body is resized, or null to keep its height.
+     * @private
+     */
+    this._slopeAngle = null;
+
+    /**
+     * @property {number} stepHeight - The height of the tallest obstacle this Body steps up onto when walking into it, rather than being stopped by it, such as a curb
+     * or a stair. Stepping up is kept within the world bounds if the Body collides with them.
+     * @default
+     */
+    this.stepHeight = 0;
+
     /**
      * If you have a Body that is being moved around the world via a tween or a Group motion, but its local x/y position never
      * actually changes, then you should set Body.moves = false. Otherwise it will most likely fly off the screen.
@@ -388,6 +429,12 @@ Phaser.Plugin.Isometric.Body = function (sprite) {
      */
     this._dz = 0;
 
+    /**
+     * @property {Phaser.Plugin.Isometric.Point3} _facingDelta - Internal cache var.
+     * @private
+     */
+    this._facingDelta = new Phaser.Plugin.Isometric.Point3();
+
     /**
      * @property {Array.<Phaser.Plugin.Isometric.Point3>} _corners - The 8 corners of the bounding cube.
      * @private
@@ -428,7 +475,10 @@ Phaser.Plugin.Isometric.Body.prototype = {
             this._sy = asy;
             this.center.setTo(this.position.x + this.halfWidthX, this.position.y + this.halfWidthY, this.position.z + this.halfHeight);
 
+            this._applySlopeAngle();
+
             this._reset = true;
+            this.sprite._invalidateIsoBounds();
         }
 
     },
@@ -512,6 +562,10 @@ Phaser.Plugin.Isometric.Body.prototype = {
                 this.checkWorldBounds();
             }
 
+            if (this.game.physics.isoArcade.terrain) {
+                this.checkTerrain();
+            }
+
             if (this.sprite.outOfBoundsKill && !this.game.physics.isoArcade.bounds.intersects(this.sprite.isoBounds)){
                 this.sprite.kill();
             }
@@ -551,26 +605,36 @@ Phaser.Plugin.Isometric.Body.prototype = {
             this.prev.z = this.position.z;
         }
 
-        if (this.deltaAbsX() >= this.deltaAbsY() && this.deltaAbsX() >= this.deltaAbsZ()){
-            if (this.deltaX() < 0) {
+        //  Work out the facing as seen from the front of the view
+        var delta = this.sprite.projector.rotate(this._facingDelta.setTo(this.deltaX(), this.deltaY(), this.deltaZ()), this._facingDelta, true);
+        var absX = Math.abs(delta.x);
+        var absY = Math.abs(delta.y);
+        var absZ = Math.abs(delta.z);
+
+        if (absX >= absY && absX >= absZ){
+            if (delta.x < 0) {
                 this.facing = Phaser.Plugin.Isometric.BACKWARDX;
-            } else if (this.deltaX() > 0) {
+            } else if (delta.x > 0) {
                 this.facing = Phaser.Plugin.Isometric.FORWARDX;
             }
-        } else if (this.deltaAbsY() >= this.deltaAbsX() && this.deltaAbsY() >= this.deltaAbsZ()){
-            if (this.deltaY() < 0) {
+        } else if (absY >= absX && absY >= absZ){
+            if (delta.y < 0) {
                 this.facing = Phaser.Plugin.Isometric.BACKWARDY;
-            } else if (this.deltaY() > 0) {
+            } else if (delta.y > 0) {
                 this.facing = Phaser.Plugin.Isometric.FORWARDY;
             }
         } else {
-            if (this.deltaZ() < 0) {
+            if (delta.z < 0) {
                 this.facing = Phaser.Plugin.Isometric.DOWN;
-            } else if (this.deltaZ() > 0) {
+            } else if (delta.z > 0) {
                 this.facing = Phaser.Plugin.Isometric.UP;
             }
         }
 
+        if (this.velocity.x !== 0 || this.velocity.y !== 0) {
+            this.compass = this.sprite.projector.getCompass(this.velocity.x, this.velocity.y, this.compassPoints);
+        }
+
         if (this.moves) {
             this._dx = this.deltaX();
             this._dy = this.deltaY();
@@ -670,6 +734,30 @@ Phaser.Plugin.Isometric.Body.prototype = {
 
     },
 
+    /**
+     * Internal method.
+     *
+     * @method Phaser.Plugin.Isometric.Body#checkTerrain
+     * @protected
+     */
+    checkTerrain: function () {
+
+        var ground = this.game.physics.isoArcade.terrain.getHeightAt(this.position.x + this.halfWidthX, this.position.y + this.halfWidthY);
+
+        if (this.position.z < ground) {
+            this.position.z = ground;
+
+            if (this.velocity.z < 0) {
+                this.velocity.z *= -this.bounce.z;
+            }
+
+            this.blocked.down = true;
+            this.touching.none = false;
+            this.touching.down = true;
+        }
+
+    },
+
     /**
      * You can modify the size of the physics Body to be any dimension you need.
      * So it could be smaller or larger than the parent Sprite. You can also control the x, y and z offset, which
@@ -708,6 +796,90 @@ Phaser.Plugin.Isometric.Body.prototype = {
 
         this.center.setTo(this.position.x + this.halfWidthX, this.position.y + this.halfWidthY, this.position.z + this.halfHeight);
 
+        this._applySlopeAngle();
+
+        //  The depth sorts use the Body in place of the bounds of the sprite
+        this.sprite._invalidateIsoBounds();
+
+    },
+
+    /**
+     * Make the Body a ramp rising towards the given direction, or back into a box.
+     *
+     * @method Phaser.Plugin.Isometric.Body#setSlope
+     * @param {number} direction - The direction the ramp rises towards; one of Phaser.Plugin.Isometric.FORWARDX, FORWARDY, BACKWARDX or BACKWARDY, or Phaser.NONE for a box.
+     * @param {number} [angle] - The angle of the ramp in radians. If given, the height of the Body is changed to give this angle, and changed again to keep it whenever
+     * the Body is resized. Otherwise the angle follows from its size.
+     */
+    setSlope: function (direction, angle) {
+
+        this.slope = direction;
+        this._slopeAngle = (direction !== Phaser.NONE && typeof angle !== 'undefined') ? angle : null;
+
+        this._applySlopeAngle();
+
+    },
+
+    /**
+     * Set the height of a ramp to give the angle passed to Body#setSlope, if one was.
+     *
+     * @method Phaser.Plugin.Isometric.Body#_applySlopeAngle
+     * @private
+     */
+    _applySlopeAngle: function () {
+
+        if (this._slopeAngle === null) {
+            return;
+        }
+
+        this.height = this._getSlopeRun() * Math.tan(this._slopeAngle);
+        this.halfHeight = Math.floor(this.height * 0.5);
+        this.center.z = this.position.z + this.halfHeight;
+
+        this.sprite._invalidateIsoBounds();
+
+    },
+
+    /**
+     * Get the height of the top surface of the Body at a point on the ground; the height of the sloped surface for a ramp, or the top for a box. Points beyond the
+     * footprint of the Body are moved onto its nearest edge.
+     *
+     * @method Phaser.Plugin.Isometric.Body#getFloorHeight
+     * @param {number} x - The x coordinate of the point.
+     * @param {number} y - The y coordinate of the point.
+     * @return {number} The height of the surface.
+     */
+    getFloorHeight: function (x, y) {
+
+        var t;
+
+        if (this.slope === Phaser.Plugin.Isometric.FORWARDX) {
+            t = (x - this.x) / this.widthX;
+        } else if (this.slope === Phaser.Plugin.Isometric.BACKWARDX) {
+            t = (this.frontX - x) / this.widthX;
+        } else if (this.slope === Phaser.Plugin.Isometric.FORWARDY) {
+            t = (y - this.y) / this.widthY;
+        } else if (this.slope === Phaser.Plugin.Isometric.BACKWARDY) {
+            t = (this.frontY - y) / this.widthY;
+        } else {
+            return this.top;
+        }
+
+        return this.z + (this.height * Phaser.Math.clamp(t, 0, 1));
+
+    },
+
+    /**
+     * Get the distance along the ground over which a ramp rises from its bottom to its top.
+     *
+     * @method Phaser.Plugin.Isometric.Body#_getSlopeRun
+     * @return {number} The distance.
+     * @private
+     */
+    _getSlopeRun: function () {
+
+        return (this.slope === Phaser.Plugin.Isometric.FORWARDY || this.slope === Phaser.Plugin.Isometric.BACKWARDY) ? this.widthY : this.widthX;
+
     },
 
     /**
@@ -904,6 +1076,19 @@ Object.defineProperty(Phaser.Plugin.Isometric.Body.prototype, "top", {
 
 });
 
+/**
+ * @name Phaser.Plugin.Isometric.Body#slopeAngle
+ * @property {number} slopeAngle - The angle in radians of the surface of a ramp shaped Body, or 0 for a box shaped one.
+ * @readonly
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.Body.prototype, "slopeAngle", {
+
+    get: function () {
+        return (this.slope === Phaser.NONE) ? 0 : Math.atan2(this.height, this._getSlopeRun());
+    }
+
+});
+
 /**
  * @name Phaser.Plugin.Isometric.Body#frontX
  * @property {number} right - The front X value of this Body (same as Body.x + Body.widthX)
@@ -1027,20 +1212,15 @@ Phaser.Plugin.Isometric.Body.render = function (context, body, color, filled) {
 
     color = color || 'rgba(0,255,0,0.4)';
 
+    var projector = body.sprite.projector;
     var points = [],
-        corners = body.getCorners();
-
-    var posX = -body.sprite.game.camera.x;
-    var posY = -body.sprite.game.camera.y;
+        corners = projector.orientCorners(body.getCorners());
 
     if (filled) {
         points = [corners[1], corners[3], corners[2], corners[6], corners[4], corners[5], corners[1]];
 
         points = points.map(function (p) {
-            var newPos = body.sprite.game.iso.project(p);
-            newPos.x += posX;
-            newPos.y += posY;
-            return newPos;
+            return projector.projectScreen(p);
         });
         context.beginPath();
         context.fillStyle = color;
@@ -1053,10 +1233,7 @@ Phaser.Plugin.Isometric.Body.render = function (context, body, color, filled) {
     } else {
         points = corners.slice(0, corners.length);
         points = points.map(function (p) {
-            var newPos = body.sprite.game.iso.project(p);
-            newPos.x += posX;
-            newPos.y += posY;
-            return newPos;
+            return projector.projectScreen(p);
         });
 
         context.moveTo(points[0].x, points[0].y);
@@ -77,6 +77,12 @@ Phaser.Plugin.Isometric.Arcade = function (game) {
      */
     this.octree = new Phaser.Plugin.Isometric.Octree(this.bounds.x, this.bounds.y, this.bounds.z, this.bounds.widthX, this.bounds.widthY, this.bounds.height, this.maxObjects, this.maxLevels);
 
+    /**
+     * @property {Phaser.Plugin.Isometric.IsoTerrain} terrain - If set, moving Bodies are kept from sinking below the height of this terrain under their centre, as they are by the bottom of the world bounds.
+     * @default
+     */
+    this.terrain = null;
+
     //  Avoid gc spikes by caching these values for re-use
 
     /**
@@ -421,20 +427,20 @@ Phaser.Plugin.Isometric.Arcade.prototype = {
         }
 
         if (object1 && object2 && object1.exists && object2.exists) {
-            //  ISOSPRITES
-            if (object1.type === Phaser.Plugin.Isometric.ISOSPRITE) {
-                if (object2.type === Phaser.Plugin.Isometric.ISOSPRITE) {
-                    this.collideSpriteVsSprite(object1, object2, collideCallback, processCallback, callbackContext, overlapOnly);
-                } else if (object2.type === Phaser.GROUP) {
-                    this.collideSpriteVsGroup(object1, object2, collideCallback, processCallback, callbackContext, overlapOnly);
+            //  GROUPS (including IsoContainers)
+            if (object1.type === Phaser.GROUP) {
+                if (object2.type === Phaser.GROUP) {
+                    this.collideGroupVsGroup(object1, object2, collideCallback, processCallback, callbackContext, overlapOnly);
+                } else if (Phaser.Plugin.Isometric.IsoObject.isIsoObject(object2)) {
+                    this.collideSpriteVsGroup(object2, object1, collideCallback, processCallback, callbackContext, overlapOnly);
                 }
             }
-                //  GROUPS
-            else if (object1.type === Phaser.GROUP) {
-                if (object2.type === Phaser.Plugin.Isometric.ISOSPRITE) {
-                    this.collideSpriteVsGroup(object2, object1, collideCallback, processCallback, callbackContext, overlapOnly);
-                } else if (object2.type === Phaser.GROUP) {
-                    this.collideGroupVsGroup(object1, object2, collideCallback, processCallback, callbackContext, overlapOnly);
+                //  ISOSPRITES, ISOIMAGES, ISOTEXTS AND ISOTILESPRITES
+            else if (Phaser.Plugin.Isometric.IsoObject.isIsoObject(object1)) {
+                if (object2.type === Phaser.GROUP) {
+                    this.collideSpriteVsGroup(object1, object2, collideCallback, processCallback, callbackContext, overlapOnly);
+                } else if (Phaser.Plugin.Isometric.IsoObject.isIsoObject(object2)) {
+                    this.collideSpriteVsSprite(object1, object2, collideCallback, processCallback, callbackContext, overlapOnly);
                 }
             }
         }
@@ -615,6 +621,31 @@ Phaser.Plugin.Isometric.Arcade.prototype = {
             return true;
         }
 
+        //  Bodies resting on a ramp are separated from its sloped surface; two ramps collide as boxes
+        if (body1.slope !== Phaser.NONE && body2.slope === Phaser.NONE) {
+            this._result = this.separateSlope(body1, body2, overlapOnly);
+        } else if (body2.slope !== Phaser.NONE && body1.slope === Phaser.NONE) {
+            this._result = this.separateSlope(body2, body1, overlapOnly);
+        } else {
+            this._result = this.separateBoxes(body1, body2, overlapOnly);
+        }
+
+        return this._result;
+
+    },
+
+    /**
+     * Separate two overlapping bodies as boxes, on whichever axes the gravity settings call for first.
+     *
+     * @private
+     * @method Phaser.Plugin.Isometric.Arcade#separateBoxes
+     * @param {Phaser.Plugin.Isometric.Body} body1 - The Body object to separate.
+     * @param {Phaser.Plugin.Isometric.Body} body2 - The Body object to separate.
+     * @param {boolean} overlapOnly - If true the bodies will only have their overlap data set, no separation or exchange of velocity will take place.
+     * @return {boolean} Returns true if the bodies were separated, otherwise false.
+     */
+    separateBoxes: function (body1, body2, overlapOnly) {
+
         //  Do we separate on X and Y first?
         //  If we weren't having to carry around so much legacy baggage with us, we could do this properly. But alas ...
         if (this.forceXY || Math.abs(this.gravity.z + body1.gravity.z) < Math.abs(this.gravity.x + body1.gravity.x) || Math.abs(this.gravity.z + body1.gravity.z) < Math.abs(this.gravity.y + body1.gravity.y)) {
@@ -698,6 +729,9 @@ Phaser.Plugin.Isometric.Arcade.prototype = {
 
                 if ((this._overlap > this._maxOverlap) || body1.checkCollision.frontX === false || body2.checkCollision.backX === false) {
                     this._overlap = 0;
+                } else if (!overlapOnly && !body1.customSeparateX && !body2.customSeparateX && ((body1.deltaX() > 0 && this.stepUp(body1, body2)) || (body2.deltaX() < 0 && this.stepUp(body2, body1)))) {
+                    //  Whichever is moving into the other stepped up onto it instead of being stopped
+                    return true;
                 } else {
                     body1.touching.none = false;
                     body1.touching.frontX = true;
@@ -710,6 +744,9 @@ Phaser.Plugin.Isometric.Arcade.prototype = {
 
                 if ((-this._overlap > this._maxOverlap) || body1.checkCollision.backX === false || body2.checkCollision.frontX === false) {
                     this._overlap = 0;
+                } else if (!overlapOnly && !body1.customSeparateX && !body2.customSeparateX && ((body1.deltaX() < 0 && this.stepUp(body1, body2)) || (body2.deltaX() > 0 && this.stepUp(body2, body1)))) {
+                    //  Whichever is moving into the other stepped up onto it instead of being stopped
+                    return true;
                 } else {
                     body1.touching.none = false;
                     body1.touching.backX = true;
@@ -793,6 +830,9 @@ Phaser.Plugin.Isometric.Arcade.prototype = {
 
                 if ((this._overlap > this._maxOverlap) || body1.checkCollision.frontY === false || body2.checkCollision.backY === false) {
                     this._overlap = 0;
+                } else if (!overlapOnly && !body1.customSeparateY && !body2.customSeparateY && ((body1.deltaY() > 0 && this.stepUp(body1, body2)) || (body2.deltaY() < 0 && this.stepUp(body2, body1)))) {
+                    //  Whichever is moving into the other stepped up onto it instead of being stopped
+                    return true;
                 } else {
                     body1.touching.none = false;
                     body1.touching.frontY = true;
@@ -805,6 +845,9 @@ Phaser.Plugin.Isometric.Arcade.prototype = {
 
                 if ((-this._overlap > this._maxOverlap) || body1.checkCollision.backY === false || body2.checkCollision.frontY === false) {
                     this._overlap = 0;
+                } else if (!overlapOnly && !body1.customSeparateY && !body2.customSeparateY && ((body1.deltaY() < 0 && this.stepUp(body1, body2)) || (body2.deltaY() > 0 && this.stepUp(body2, body1)))) {
+                    //  Whichever is moving into the other stepped up onto it instead of being stopped
+                    return true;
                 } else {
                     body1.touching.none = false;
                     body1.touching.backY = true;
@@ -963,6 +1006,155 @@ Phaser.Plugin.Isometric.Arcade.prototype = {
 
     },
 
+    /**
+     * Lift a body onto the top of an obstacle it is walking into, if the obstacle is no taller above the bottom of the body than its Body#stepHeight. The body isn't
+     * lifted if that would take it through the top of the world bounds it collides with.
+     *
+     * @private
+     * @method Phaser.Plugin.Isometric.Arcade#stepUp
+     * @param {Phaser.Plugin.Isometric.Body} body - The Body object to step up.
+     * @param {Phaser.Plugin.Isometric.Body} obstacle - The Body object to step up onto.
+     * @return {boolean} Returns true if the body stepped up, otherwise false.
+     */
+    stepUp: function (body, obstacle) {
+
+        var rise = obstacle.top - body.z;
+
+        if (body.immovable || !body.moves || body.stepHeight <= 0 || rise <= 0 || rise > body.stepHeight) {
+            return false;
+        }
+
+        if (body.checkCollision.down === false || obstacle.checkCollision.up === false) {
+            return false;
+        }
+
+        if (body.collideWorldBounds && this.checkCollision.up && obstacle.top + body.height > this.bounds.top) {
+            return false;
+        }
+
+        body.z = obstacle.top;
+        body.touching.none = false;
+        body.touching.down = true;
+        obstacle.touching.none = false;
+        obstacle.touching.up = true;
+
+        if (body.velocity.z < 0) {
+            body.velocity.z = 0;
+        }
+
+        return true;
+
+    },
+
+    /**
+     * The separation function for a body overlapping a ramp shaped body (see Body#slope). The body is lifted onto the sloped surface at the highest point under its
+     * footprint, and kept on it while walking down as long as it was touching down the frame before. On ramps steeper than its Body#maxSlope it slides down under
+     * gravity instead of standing. Bodies meeting the ramp from below, or from the side higher than they could have climbed, are separated as boxes.
+     *
+     * @private
+     * @method Phaser.Plugin.Isometric.Arcade#separateSlope
+     * @param {Phaser.Plugin.Isometric.Body} ramp - The ramp shaped Body.
+     * @param {Phaser.Plugin.Isometric.Body} body - The Body object to separate from it.
+     * @param {boolean} overlapOnly - If true the bodies will only have their overlap data set, no separation or exchange of velocity will take place.
+     * @return {boolean} Returns true if the bodies were separated, otherwise false.
+     */
+    separateSlope: function (ramp, body, overlapOnly) {
+
+        var angle = ramp.slopeAngle;
+        var rise = Math.tan(angle);
+        var dirX = 0, dirY = 0, run, climb;
+
+        if (ramp.slope === Phaser.Plugin.Isometric.FORWARDX || ramp.slope === Phaser.Plugin.Isometric.BACKWARDX) {
+            dirX = (ramp.slope === Phaser.Plugin.Isometric.FORWARDX) ? 1 : -1;
+            run = body.deltaAbsX();
+        } else {
+            dirY = (ramp.slope === Phaser.Plugin.Isometric.FORWARDY) ? 1 : -1;
+            run = body.deltaAbsY();
+        }
+
+        if (body.immovable || body.z < ramp.z) {
+            return this.separateBoxes(ramp, body, overlapOnly);
+        }
+
+        //  The highest point of the surface under the footprint of the body is the corner furthest up the ramp
+        var floor = ramp.getFloorHeight((dirX > 0) ? body.frontX : body.x, (dirY > 0) ? body.frontY : body.y);
+
+        this._overlap = floor - body.z;
+        this._maxOverlap = (run * rise) + body.deltaAbsZ() + ramp.deltaAbsZ() + this.OVERLAP_BIAS;
+
+        if (this._overlap > this._maxOverlap) {
+            //  Too high to have been climbed, so it was walked into
+            return this.separateBoxes(ramp, body, overlapOnly);
+        }
+
+        if (this._overlap < 0 && !(body.wasTouching.down && body.velocity.z <= 0 && -this._overlap <= this._maxOverlap)) {
+            //  Above the surface, and not walking down it
+            return false;
+        }
+
+        if (body.checkCollision.down === false || ramp.checkCollision.up === false) {
+            return false;
+        }
+
+        body.overlapZ = this._overlap;
+        ramp.overlapZ = this._overlap;
+
+        if (overlapOnly || body.customSeparateZ || ramp.customSeparateZ) {
+            return true;
+        }
+
+        if (angle > body.maxSlope) {
+            //  Too steep to climb, so undo any movement up the slope
+            climb = (body.deltaX() * dirX) + (body.deltaY() * dirY);
+
+            if (climb > 0) {
+                body.x -= climb * dirX;
+                body.y -= climb * dirY;
+                floor = Math.max(body.z, ramp.getFloorHeight((dirX > 0) ? body.frontX : body.x, (dirY > 0) ? body.frontY : body.y));
+            }
+        }
+
+        body.z = floor;
+        body.touching.none = false;
+        ramp.touching.none = false;
+        ramp.touching.up = true;
+
+        if (body.velocity.z < 0) {
+            body.velocity.z *= -body.bounce.z;
+        }
+
+        //  Ride along with moving ramps, as with moving platforms
+        if (ramp.moves) {
+            body.x += ramp.x - ramp.prev.x;
+            body.y += ramp.y - ramp.prev.y;
+        }
+
+        if (angle <= body.maxSlope) {
+            body.touching.down = true;
+
+            return true;
+        }
+
+        //  Slide down along the slope, without climbing any further
+        var speed = (body.velocity.x * dirX) + (body.velocity.y * dirY);
+        var gravity = body.allowGravity ? -(this.gravity.z + body.gravity.z) : 0;
+
+        if (speed > 0) {
+            body.velocity.x -= speed * dirX;
+            body.velocity.y -= speed * dirY;
+        }
+
+        if (gravity > 0) {
+            speed = gravity * Math.sin(angle) * Math.cos(angle) * this.game.time.physicsElapsed;
+
+            body.velocity.x -= speed * dirX;
+            body.velocity.y -= speed * dirY;
+        }
+
+        return true;
+
+    },
+
     /**
      * Find the distance between two display objects (like Sprites).
      *
@@ -1037,7 +1229,8 @@ Phaser.Plugin.Isometric.Arcade.prototype = {
     distanceToPointer: function (displayObjectBody, pointer) {
 
         pointer = pointer || this.game.input.activePointer;
-        var isoPointer = this.game.iso.unproject(pointer.position,undefined,displayObjectBody.z);
+        var projector = (displayObjectBody.sprite || displayObjectBody).projector || this.game.iso;
+        var isoPointer = projector.unproject(pointer.position,undefined,displayObjectBody.z);
         isoPointer.z = displayObjectBody.z;
         var a = this.anglesToXYZ(displayObjectBody, isoPointer.x, isoPointer.y, isoPointer.z);
 
@@ -1078,7 +1271,8 @@ Phaser.Plugin.Isometric.Arcade.prototype = {
     angleToPointer: function(displayObjectBody, pointer) {
 
         pointer = pointer || this.game.input.activePointer;
-        var isoPointer = this.game.iso.unproject(pointer.position,undefined,displayObjectBody.z);
+        var projector = (displayObjectBody.sprite || displayObjectBody).projector || this.game.iso;
+        var isoPointer = projector.unproject(pointer.position,undefined,displayObjectBody.z);
         isoPointer.z = displayObjectBody.z;
         var a = this.anglesToXYZ(displayObjectBody, isoPointer.x, isoPointer.y, isoPointer.z);
 
@@ -1222,7 +1416,7 @@ Phaser.Plugin.Isometric.Arcade.prototype = {
     moveToPointer: function(displayObject, speed, pointer, maxTime) {
 
         pointer = pointer || this.game.input.activePointer;
-        var isoPointer = this.game.iso.unproject(pointer.position,undefined,displayObject.body.z);
+        var isoPointer = displayObject.projector.unproject(pointer.position,undefined,displayObject.body.z);
         isoPointer.z = displayObject.body.z;
 
         if (typeof speed === 'undefined') {
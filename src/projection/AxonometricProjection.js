@@ -0,0 +1,296 @@
+/**
+ * @class Phaser.Plugin.Isometric.AxonometricProjection
+ *
+ * @classdesc
+ * Creates a new AxonometricProjection object, the default projection strategy used by Phaser.Plugin.Isometric.Projector. None of the three axes is parallel to the screen;
+ * the x and y axes recede at their own angles either side of the screen's vertical, and the z axis points straight up. Equal x and y angles give isometric or dimetric
+ * projections, while different angles give trimetric projections.
+ *
+ * @constructor
+ * @param {number} [projectionAngle] - The angle of both the x and y axes in radians. Defaults to Phaser.Plugin.Isometric.CLASSIC.
+ */
+Phaser.Plugin.Isometric.AxonometricProjection = function (projectionAngle) {
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Projector} projector - The Projector using this projection, which is told to re-project its IsoSprites when the projection changes.
+     */
+    this.projector = null;
+
+    /**
+     * @property {array} _transform - The pre-calculated transformation values. The first three values are the screen x contribution of the x, y and z axes, and the last three their screen y contribution.
+     * @private
+     */
+    this._transform = [0, 0, 0, 0, 0, 0];
+
+    /**
+     * @property {number} _projectionAngleX - The cached angle of projection of the x axis in radians.
+     * @private
+     */
+    this._projectionAngleX = 0;
+
+    /**
+     * @property {number} _projectionAngleY - The cached angle of projection of the y axis in radians.
+     * @private
+     */
+    this._projectionAngleY = 0;
+
+    /**
+     * @property {number} _scaleX - The cached scale of the x axis.
+     * @private
+     */
+    this._scaleX = 1;
+
+    /**
+     * @property {number} _scaleY - The cached scale of the y axis.
+     * @private
+     */
+    this._scaleY = 1;
+
+    /**
+     * @property {number} _scaleZ - The cached scale of the z axis.
+     * @private
+     */
+    this._scaleZ = 1;
+
+    /**
+     * @property {number} projectionAngle - The angle of projection in radians.
+     * @default
+     */
+    this.projectionAngle = projectionAngle || Phaser.Plugin.Isometric.CLASSIC;
+
+};
+
+Phaser.Plugin.Isometric.AxonometricProjection.prototype = {
+
+    /**
+     * Transform a 3D Point3 coordinate to a 2D Point coordinate relative to the origin of the projection.
+     * @method Phaser.Plugin.Isometric.AxonometricProjection#project
+     * @param {Phaser.Plugin.Isometric.Point3} point3 - The Point3 to project from.
+     * @param {Phaser.Point} out - The Point to project to.
+     * @return {Phaser.Point} The transformed Point.
+     */
+    project: function (point3, out) {
+        var t = this._transform;
+
+        out.x = (point3.x * t[0]) + (point3.y * t[1]) + (point3.z * t[2]);
+        out.y = (point3.x * t[3]) + (point3.y * t[4]) + (point3.z * t[5]);
+
+        return out;
+    },
+
+    /**
+     * Transform a 2D coordinate relative to the origin of the projection to a 3D Point3 coordinate on the specified z-plane.
+     * @method Phaser.Plugin.Isometric.AxonometricProjection#unproject
+     * @param {number} x - The x coordinate to project from.
+     * @param {number} y - The y coordinate to project from.
+     * @param {number} z - The z-plane to project to.
+     * @param {Phaser.Plugin.Isometric.Point3} out - The Point3 to project to.
+     * @return {Phaser.Plugin.Isometric.Point3} The transformed Point3.
+     */
+    unproject: function (x, y, z, out) {
+        var t = this._transform;
+        var det = (t[0] * t[4]) - (t[1] * t[3]);
+
+        x -= z * t[2];
+        y -= z * t[5];
+
+        out.x = ((x * t[4]) - (y * t[1])) / det;
+        out.y = ((y * t[0]) - (x * t[3])) / det;
+        out.z = z;
+
+        return out;
+    },
+
+    /**
+     * Calculates the non-unit distance of a Point3 from the 'front' of the scene.
+     * @method Phaser.Plugin.Isometric.AxonometricProjection#depth
+     * @param {Phaser.Plugin.Isometric.Point3} point3 - The Point3 to calculate the depth of.
+     * @return {number} The depth of the Point3.
+     */
+    depth: function (point3) {
+        return (point3.x + point3.y) + (point3.z * 1.25);
+    },
+
+    /**
+     * Get the directions of the x and y axes relative to the viewer; 1 if larger values along the axis are nearer, or -1 if they are further away. Used by the
+     * depth sorts. Both axes always point towards the viewer in an axonometric projection.
+     * @method Phaser.Plugin.Isometric.AxonometricProjection#getAxisSigns
+     * @param {array} [out] - The array to write the signs of the x and y axes into.
+     * @return {array} The signs.
+     */
+    getAxisSigns: function (out) {
+        if (typeof out === "undefined") {
+            out = [];
+        }
+
+        out[0] = 1;
+        out[1] = 1;
+
+        return out;
+    },
+
+    /**
+     * Recalculates the transformation values from the projection angles and axis scales, and tells the Projector to re-project its IsoSprites.
+     * @method Phaser.Plugin.Isometric.AxonometricProjection#_updateTransform
+     * @private
+     */
+    _updateTransform: function () {
+        this._transform[0] = Math.cos(this._projectionAngleX) * this._scaleX;
+        this._transform[1] = -Math.cos(this._projectionAngleY) * this._scaleY;
+        this._transform[2] = 0;
+        this._transform[3] = Math.sin(this._projectionAngleX) * this._scaleX;
+        this._transform[4] = Math.sin(this._projectionAngleY) * this._scaleY;
+        this._transform[5] = -this._scaleZ;
+
+        if (this.projector) {
+            this.projector.reproject();
+        }
+    }
+
+};
+
+/**
+ * Setting the projection angle sets the angle of both the x and y axes, giving a symmetrical projection. Reading it returns the angle of the x axis.
+ *
+ * @name Phaser.Plugin.Isometric.AxonometricProjection#projectionAngle
+ * @property {number} projectionAngle - The angle of axonometric projection.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.AxonometricProjection.prototype, "projectionAngle", {
+
+    get: function () {
+        return this._projectionAngleX;
+    },
+
+    set: function (value) {
+
+        if (value === this._projectionAngleX && value === this._projectionAngleY) {
+            return;
+        }
+
+        this._projectionAngleX = this._projectionAngleY = value;
+
+        this._updateTransform();
+    }
+
+});
+
+/**
+ * The angle in radians between the x axis and the horizontal of the screen. Set this independently of projectionAngleY for trimetric projections.
+ *
+ * @name Phaser.Plugin.Isometric.AxonometricProjection#projectionAngleX
+ * @property {number} projectionAngleX - The angle of axonometric projection of the x axis.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.AxonometricProjection.prototype, "projectionAngleX", {
+
+    get: function () {
+        return this._projectionAngleX;
+    },
+
+    set: function (value) {
+
+        if (value === this._projectionAngleX) {
+            return;
+        }
+
+        this._projectionAngleX = value;
+
+        this._updateTransform();
+    }
+
+});
+
+/**
+ * The angle in radians between the y axis and the horizontal of the screen. Set this independently of projectionAngleX for trimetric projections.
+ *
+ * @name Phaser.Plugin.Isometric.AxonometricProjection#projectionAngleY
+ * @property {number} projectionAngleY - The angle of axonometric projection of the y axis.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.AxonometricProjection.prototype, "projectionAngleY", {
+
+    get: function () {
+        return this._projectionAngleY;
+    },
+
+    set: function (value) {
+
+        if (value === this._projectionAngleY) {
+            return;
+        }
+
+        this._projectionAngleY = value;
+
+        this._updateTransform();
+    }
+
+});
+
+/**
+ * @name Phaser.Plugin.Isometric.AxonometricProjection#scaleX
+ * @property {number} scaleX - The scale factor applied to distances along the x axis when projected.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.AxonometricProjection.prototype, "scaleX", {
+
+    get: function () {
+        return this._scaleX;
+    },
+
+    set: function (value) {
+
+        if (value === this._scaleX) {
+            return;
+        }
+
+        this._scaleX = value;
+
+        this._updateTransform();
+    }
+
+});
+
+/**
+ * @name Phaser.Plugin.Isometric.AxonometricProjection#scaleY
+ * @property {number} scaleY - The scale factor applied to distances along the y axis when projected.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.AxonometricProjection.prototype, "scaleY", {
+
+    get: function () {
+        return this._scaleY;
+    },
+
+    set: function (value) {
+
+        if (value === this._scaleY) {
+            return;
+        }
+
+        this._scaleY = value;
+
+        this._updateTransform();
+    }
+
+});
+
+/**
+ * Values below 1 give a 'squashed height' look, where tall objects appear shorter than their footprint would suggest.
+ *
+ * @name Phaser.Plugin.Isometric.AxonometricProjection#scaleZ
+ * @property {number} scaleZ - The scale factor applied to distances along the z axis when projected.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.AxonometricProjection.prototype, "scaleZ", {
+
+    get: function () {
+        return this._scaleZ;
+    },
+
+    set: function (value) {
+
+        if (value === this._scaleZ) {
+            return;
+        }
+
+        this._scaleZ = value;
+
+        this._updateTransform();
+    }
+
+});
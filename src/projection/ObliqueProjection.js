@@ -0,0 +1,259 @@
+/**
+ * @class Phaser.Plugin.Isometric.ObliqueProjection
+ *
+ * @classdesc
+ * Creates a new ObliqueProjection object, a projection strategy for Phaser.Plugin.Isometric.Projector in which the x and z axes stay parallel to the screen, so the front faces
+ * of objects are drawn without distortion, and the y axis recedes into the screen at an angle. Pass an angle of Math.PI / 2 for the straight-on '3/4' view used by
+ * classic brawlers and RPGs.
+ *
+ * @constructor
+ * @param {number} [projectionAngle] - The angle of the receding y axis in radians, measured from the screen's horizontal. Defaults to Math.PI / 4.
+ * @param {number} [ratio] - How much distances along the y axis are foreshortened. Defaults to Phaser.Plugin.Isometric.CABINET.
+ */
+Phaser.Plugin.Isometric.ObliqueProjection = function (projectionAngle, ratio) {
+
+    /**
+     * @property {Phaser.Plugin.Isometric.Projector} projector - The Projector using this projection, which is told to re-project its IsoSprites when the projection changes.
+     */
+    this.projector = null;
+
+    /**
+     * @property {array} _transform - The pre-calculated transformation values; the screen x and y contribution of the receding y axis.
+     * @private
+     */
+    this._transform = [0, 0];
+
+    /**
+     * @property {number} _projectionAngle - The cached angle of the receding y axis in radians.
+     * @private
+     */
+    this._projectionAngle = (typeof projectionAngle === 'undefined') ? Math.PI / 4 : projectionAngle;
+
+    /**
+     * @property {number} _ratio - The cached foreshortening ratio of the receding y axis.
+     * @private
+     */
+    this._ratio = (typeof ratio === 'undefined') ? Phaser.Plugin.Isometric.CABINET : ratio;
+
+    /**
+     * @property {number} _scaleX - The cached scale of the x axis.
+     * @private
+     */
+    this._scaleX = 1;
+
+    /**
+     * @property {number} _scaleY - The cached scale of the y axis.
+     * @private
+     */
+    this._scaleY = 1;
+
+    /**
+     * @property {number} _scaleZ - The cached scale of the z axis.
+     * @private
+     */
+    this._scaleZ = 1;
+
+    this._updateTransform();
+
+};
+
+//  Receding axis ratios
+Phaser.Plugin.Isometric.CAVALIER = 1;
+Phaser.Plugin.Isometric.CABINET = 0.5;
+
+Phaser.Plugin.Isometric.ObliqueProjection.prototype = {
+
+    /**
+     * Transform a 3D Point3 coordinate to a 2D Point coordinate relative to the origin of the projection.
+     * @method Phaser.Plugin.Isometric.ObliqueProjection#project
+     * @param {Phaser.Plugin.Isometric.Point3} point3 - The Point3 to project from.
+     * @param {Phaser.Point} out - The Point to project to.
+     * @return {Phaser.Point} The transformed Point.
+     */
+    project: function (point3, out) {
+        out.x = (point3.x * this._scaleX) + (point3.y * this._transform[0]);
+        out.y = (point3.y * this._transform[1]) - (point3.z * this._scaleZ);
+
+        return out;
+    },
+
+    /**
+     * Transform a 2D coordinate relative to the origin of the projection to a 3D Point3 coordinate on the specified z-plane.
+     * @method Phaser.Plugin.Isometric.ObliqueProjection#unproject
+     * @param {number} x - The x coordinate to project from.
+     * @param {number} y - The y coordinate to project from.
+     * @param {number} z - The z-plane to project to.
+     * @param {Phaser.Plugin.Isometric.Point3} out - The Point3 to project to.
+     * @return {Phaser.Plugin.Isometric.Point3} The transformed Point3.
+     */
+    unproject: function (x, y, z, out) {
+        out.y = (y + (z * this._scaleZ)) / this._transform[1];
+        out.x = (x - (out.y * this._transform[0])) / this._scaleX;
+        out.z = z;
+
+        return out;
+    },
+
+    /**
+     * Calculates the non-unit distance of a Point3 from the 'front' of the scene, measured along the direction the scene is viewed from.
+     * @method Phaser.Plugin.Isometric.ObliqueProjection#depth
+     * @param {Phaser.Plugin.Isometric.Point3} point3 - The Point3 to calculate the depth of.
+     * @return {number} The depth of the Point3.
+     */
+    depth: function (point3) {
+        return (point3.x * -this._transform[0] / this._scaleX) + point3.y + (point3.z * this._transform[1] / this._scaleZ);
+    },
+
+    /**
+     * Get the directions of the x and y axes relative to the viewer; 1 if larger values along the axis are nearer, or -1 if they are further away. Used by the
+     * depth sorts. The x axis points away from the viewer when the projection angle is above Math.PI / 2, as the receding y axis then leans the other way.
+     * @method Phaser.Plugin.Isometric.ObliqueProjection#getAxisSigns
+     * @param {array} [out] - The array to write the signs of the x and y axes into.
+     * @return {array} The signs.
+     */
+    getAxisSigns: function (out) {
+        if (typeof out === "undefined") {
+            out = [];
+        }
+
+        //  Matches the weighting of the x axis in ObliqueProjection#depth
+        out[0] = (-this._transform[0] / this._scaleX < 0) ? -1 : 1;
+        out[1] = 1;
+
+        return out;
+    },
+
+    /**
+     * Recalculates the transformation values from the projection angle, ratio and axis scales, and tells the Projector to re-project its IsoSprites.
+     * @method Phaser.Plugin.Isometric.ObliqueProjection#_updateTransform
+     * @private
+     */
+    _updateTransform: function () {
+        var length = this._ratio * this._scaleY;
+
+        this._transform[0] = -Math.cos(this._projectionAngle) * length;
+        this._transform[1] = Math.sin(this._projectionAngle) * length;
+
+        if (this.projector) {
+            this.projector.reproject();
+        }
+    }
+
+};
+
+/**
+ * @name Phaser.Plugin.Isometric.ObliqueProjection#projectionAngle
+ * @property {number} projectionAngle - The angle of the receding y axis in radians, measured from the screen's horizontal.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.ObliqueProjection.prototype, "projectionAngle", {
+
+    get: function () {
+        return this._projectionAngle;
+    },
+
+    set: function (value) {
+
+        if (value === this._projectionAngle) {
+            return;
+        }
+
+        this._projectionAngle = value;
+
+        this._updateTransform();
+    }
+
+});
+
+/**
+ * A ratio of Phaser.Plugin.Isometric.CAVALIER draws the receding axis at full length, while Phaser.Plugin.Isometric.CABINET draws it at half length, which tends to look more natural.
+ *
+ * @name Phaser.Plugin.Isometric.ObliqueProjection#ratio
+ * @property {number} ratio - How much distances along the receding y axis are foreshortened.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.ObliqueProjection.prototype, "ratio", {
+
+    get: function () {
+        return this._ratio;
+    },
+
+    set: function (value) {
+
+        if (value === this._ratio) {
+            return;
+        }
+
+        this._ratio = value;
+
+        this._updateTransform();
+    }
+
+});
+
+/**
+ * @name Phaser.Plugin.Isometric.ObliqueProjection#scaleX
+ * @property {number} scaleX - The scale factor applied to distances along the x axis when projected.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.ObliqueProjection.prototype, "scaleX", {
+
+    get: function () {
+        return this._scaleX;
+    },
+
+    set: function (value) {
+
+        if (value === this._scaleX) {
+            return;
+        }
+
+        this._scaleX = value;
+
+        this._updateTransform();
+    }
+
+});
+
+/**
+ * @name Phaser.Plugin.Isometric.ObliqueProjection#scaleY
+ * @property {number} scaleY - The scale factor applied to distances along the y axis when projected, on top of the ratio.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.ObliqueProjection.prototype, "scaleY", {
+
+    get: function () {
+        return this._scaleY;
+    },
+
+    set: function (value) {
+
+        if (value === this._scaleY) {
+            return;
+        }
+
+        this._scaleY = value;
+
+        this._updateTransform();
+    }
+
+});
+
+/**
+ * @name Phaser.Plugin.Isometric.ObliqueProjection#scaleZ
+ * @property {number} scaleZ - The scale factor applied to distances along the z axis when projected.
+ */
+Object.defineProperty(Phaser.Plugin.Isometric.ObliqueProjection.prototype, "scaleZ", {
+
+    get: function () {
+        return this._scaleZ;
+    },
+
+    set: function (value) {
+
+        if (value === this._scaleZ) {
+            return;
+        }
+
+        this._scaleZ = value;
+
+        this._updateTransform();
+    }
+
+});